@@ -26,6 +26,7 @@ module.exports = function (grunt) {
         'src/utils/browser-support.js',
         'src/utils/browser-styles.js',
         'src/utils/helpers.js',
+        'src/utils/input.js',
         'src/utils/raf.js',
         'src/utils/class-list.js',
         'src/utils/cubic-bezier.js'
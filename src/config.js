@@ -90,8 +90,12 @@
 * where they can handle both types of interactions interchangeably. 
 * This is set to false by default, allowing only one type of input interaction.
 *
+* Deprecated: the input layer listens to every source and ignores the mouse events
+* that browsers emulate after touches (see `inputTypes`).
+*
 * @property {Boolean} dualListeners
 * @default false
+* @deprecated
 *
 **/
 
@@ -125,6 +129,8 @@
 * Locks the scroller if the direction of the gesture matches one provided.
 * This property is meant to be used in conjunction with `minThreshold and``minDirectionThreshold`.
 *
+* The gestures that start inside a `data-scroller-lock` region use the direction of the region instead.
+*
 * Valid values:
 *  - horizontal
 *  - vertical
@@ -171,6 +177,11 @@
 *
 * If set to true once the scroller is out of the wrapper container, it will stop scrolling.
 *
+* Either way, the move and end listeners are only added while a gesture that started inside the wrapper
+* is in progress, and they are passive unless their default has to be prevented (pinching with `zoom`,
+* synthesizing clicks with `clickOnTap`). The wrapper gets the `touch-action` of the `scroll` direction,
+* so the browser keeps panning the page along the other axis.
+*
 * @property {integer} bindToWrapper
 * @default false
 *
@@ -180,10 +191,13 @@
 * 
 * Set the direction of the scroll.
 * By default, vertical scrolling is enabled.
+* Use `both` to pan freely on both axes (maps, spreadsheets, large canvases).
+* Note that `gpuOptimization`, `pullToRefresh` and `pullToLoadMore` are not available when scrolling on both directions.
 *
 * Valid values:
 *  - horizontal
 *  - vertical
+*  - both
 *
 * @property {string} scroll
 * @default vertical
@@ -194,7 +208,7 @@
 *
 * Activates pullToRefresh functionality.
 * Note that you need to include the `PullToRefresh` plugin as part of your scroller bundle,
-* otherwise this option is ignored.
+* otherwise this option is ignored. It can't be changed with `setOptions`.
 * 
 * @plugin PullToRefresh
 * @property {boolean} pullToRefresh
@@ -206,7 +220,7 @@
 *
 * Activates pullToLoadMore functionality.
 * Note that you need to include the `PullToLoadMore` plugin as part of your scroller bundle,
-* otherwise this option is ignored.
+* otherwise this option is ignored. It can't be changed with `setOptions`.
 * 
 * @plugin PullToLoadMore
 * @property {boolean} pullToLoadMore
@@ -266,4 +280,325 @@
 * @plugin SurfaceManager
 * @property {boolean} gpuOptimization
 *
-**/
\ No newline at end of file
+**/
+
+/**
+*
+* Enables pinch-to-zoom (two fingers) and ctrl+wheel zooming of the scroller content.
+* The scroller fires `zoomStart`, `zoom` and `zoomEnd` events with the current scale.
+* While zoomed in, the content is panned on both axes whatever the `scroll` direction is
+* (the wrapper gets `touch-action: none`, so the browser does not pan the page over it).
+* Not available with `gpuOptimization` yet.
+*
+* @property {boolean} zoom
+* @default false
+*
+**/
+
+/**
+*
+* Minimum scale allowed when `zoom` is enabled.
+*
+* @property {float} zoomMin
+* @default 1
+*
+**/
+
+/**
+*
+* Maximum scale allowed when `zoom` is enabled.
+*
+* @property {float} zoomMax
+* @default 4
+*
+**/
+
+/**
+*
+* Enables keyboard navigation when the wrapper (or any of its children) has focus:
+* Arrow keys, PageUp/PageDown, Space (Shift + Space backwards), Home and End.
+* A `tabindex` is added to the wrapper if it does not have one so it can be focused.
+*
+* @property {boolean} keyboard
+* @default false
+*
+**/
+
+/**
+*
+* Lays out horizontal scrollers right-to-left: the content starts at the right edge
+* and `scrollToTop`/`scrollToBottom` go to the logical start and end.
+* When it is not set, the computed `direction` of the wrapper is used.
+*
+* @property {boolean} rtl
+* @default null
+*
+**/
+
+/**
+*
+* Physics model used for the momentum, the resistance when dragging beyond the edges
+* and the bounce back. It can be the name of a preset in `Scroller.PHYSICS`
+* (`default`, `ios` or `android`) or an object overriding any function or property of a preset,
+* for example: `{preset: 'ios', maxVelocity: 4, maxFlingDistance: 2000}`.
+*
+* @property {string|Object} physics
+* @default "default"
+*
+**/
+
+/**
+*
+* How the velocity of a gesture is calculated when it ends:
+*
+* - `leastSquares`: A linear fit over the timestamped positions of the last
+*   `Scroller.VELOCITY_SAMPLE_WINDOW` ms of the gesture. It does not depend on the frame rate.
+* - `exponential`: An exponential moving average of the velocity on every frame (with `debounce: true`)
+*   or the average velocity of the last 300ms (with `debounce: false`).
+*
+* @property {string} velocityStrategy
+* @default "leastSquares"
+*
+**/
+
+/**
+*
+* What happens when a gesture reaches the edges of the scroller:
+*
+* - `contain`: The scroller keeps the gesture and bounces at its edges.
+*   Ancestor scrollers don't move while the scroller handles a gesture.
+* - `chain`: The rest of the gesture (and its momentum) goes on to the nearest ancestor scroller
+*   that scrolls in the same direction, or to the document if there is none.
+*   Wheel events at the edges are not captured either.
+* - `none`: Like `contain`, but the scroller stops at its edges without bouncing.
+*
+* Only `contain` is available with `pullToRefresh` and `pullToLoadMore`.
+*
+* @property {string} overscrollBehavior
+* @default "contain"
+*
+**/
+
+/**
+*
+* Plugins to add to the scroller, as plugin objects or names in `Scroller.plugins`.
+* The plugins listed that others require or come after (see `Scroller.registerPlugin`) are plugged first,
+* otherwise they are plugged in the order provided. Required plugins are not added automatically:
+* a plugin whose required plugins are missing throws an error.
+* It can't be changed with `setOptions`, use `plug` and `unplug` instead.
+*
+* @property {Array} plugins
+*
+**/
+
+/**
+*
+* How the content is scrolled:
+*
+* - `synthetic`: The scroller moves the content with transforms, using its own gestures and physics.
+* - `native`: The browser scrolls the content (`overflow: auto` on the scroller element) and the scroller
+*   reads the position from `scrollTop`/`scrollLeft`. The `scroll` events are turned into `scrollStart`,
+*   `scrollMove` (`gestureMove` while touching, `animationMove` otherwise) and `scrollEnd` events.
+*   `scrollTo` uses the browser smooth scrolling when available, so `time` is only a hint.
+*   `PullToRefresh`, `InfiniteLoading` and `Indicators` keep working.
+*   `useCSSTransition`, `gpuOptimization` and `zoom` are not available.
+*
+* @property {string} mode
+* @default "synthetic"
+*
+**/
+
+/**
+*
+* Refreshes the scroller automatically when the size of the wrapper or the content changes
+* (images that load, text that reflows, items added to the DOM...), so `refresh()` doesn't have to be called by hand.
+*
+* It uses `ResizeObserver` and `MutationObserver` where available. Without `ResizeObserver` any DOM change
+* in the content refreshes the scroller, and without both only the images (or frames) that load do.
+* With the `SurfaceManager` only the surfaces that changed and the ones after them are updated.
+*
+* @property {boolean} autoRefresh
+* @default false
+*
+**/
+
+/**
+*
+* How the scroller moves with the mouse wheel (and trackpads):
+*
+* - `instant`: The scroller jumps to the new position on the next frame.
+* - `smooth`: Every wheel event is animated with `EASING.regular` in `Scroller.WHEEL_SMOOTH_TIME` ms.
+* - `inertial`: Wheel events add velocity to the scroller, which decays with `Scroller.WHEEL_DECELERATION_RATE`.
+*
+* Deltas in lines use `Scroller.WHEEL_LINE_HEIGHT` px per line and deltas in pages the size of the wrapper.
+*
+* @property {string} wheelMode
+* @default "instant"
+*
+**/
+
+/**
+*
+* Pixels moved per wheel notch in the browsers that only report notches (`wheelDelta` or `detail`).
+* When it is not set, `Scroller.MOUSE_WHEEL_SPEED` is used.
+*
+* @property {integer} wheelSpeed
+* @default null
+*
+**/
+
+/**
+*
+* Inverts the direction of the wheel.
+* When it is not set, `Scroller.MOUSE_WHEEL_INVERTED` is used.
+*
+* @property {boolean} wheelInverted
+* @default null
+*
+**/
+
+/**
+*
+* How the deltas of the wheel are mapped to the axes of the scroller:
+*
+* - `auto`: Horizontal scrollers follow the larger delta, so a vertical wheel moves them too.
+* - `strict`: Every delta moves its own axis only. A vertical wheel over a horizontal scroller scrolls the page.
+* - `swap`: Vertical deltas move the x-axis and horizontal deltas the y-axis.
+*
+* @property {string} wheelAxis
+* @default "auto"
+*
+**/
+
+/**
+*
+* Multiplier for the wheel deltas on the x-axis of the scroller (after `wheelAxis` is applied).
+*
+* @property {float} wheelMultiplierX
+* @default 1
+*
+**/
+
+/**
+*
+* Multiplier for the wheel deltas on the y-axis of the scroller (after `wheelAxis` is applied).
+*
+* @property {float} wheelMultiplierY
+* @default 1
+*
+**/
+
+/**
+*
+* Selector of the elements that keep the browser defaults when a gesture starts on them,
+* so tapping a form field while the scroller moves focuses it instead of only stopping the scroller.
+* Their taps are not synthesized either (see `clickOnTap`). Set it to an empty string to always prevent the defaults.
+*
+* @property {string} preventDefaultException
+* @default "input, textarea, select, [data-scroller-ignore]"
+*
+**/
+
+/**
+*
+* Synthesizes a `click` on the tapped element when a touch ends and cancels the one of the browser,
+* so taps are neither delayed nor lost on touch devices.
+*
+* Whether it is set or not, every gesture that moves less than `Scroller.TAP_THRESHOLD` px
+* fires a `tap` event with the tapped element, and the clicks the browser fires after longer gestures
+* (or after a tap that stopped the scroller) are suppressed.
+*
+* @property {boolean} clickOnTap
+* @default false
+*
+**/
+
+/**
+*
+* Types of pointer that can drag the scroller. Set a type to `false` to ignore it,
+* for example `{mouse: false}` to scroll with touches and pens only.
+*
+* Every source (touch events, mouse events, pointer events and MS-prefixed pointer events) goes through
+* the input layer (`Scroller.Input`), which turns them into a single stream of pointers with a `pointerType`:
+* `touch`, `mouse` or `pen`. `disableTouch` and `disableMouse` are shortcuts to ignore touches and mice,
+* and `disablePointers` uses touch and mouse events even if pointer events are supported.
+*
+* @property {Object} inputTypes
+* @default null
+*
+**/
+
+/**
+*
+* Selector of the elements inside the content that own the gestures that start on them
+* (sliders, maps, signature pads...): the scroller skips those gestures.
+* The elements with the `data-scroller-ignore` attribute (and their descendants) are always skipped.
+*
+* Regions with `data-scroller-lock="horizontal"` (or `"vertical"`) only give up the gestures along
+* that direction, as `lockOnDirection` does for the whole scroller.
+*
+* @property {string} ignoreSelector
+* @default null
+*
+**/
+
+/**
+*
+* Function that decides whether the scroller skips a gesture, for the cases a selector can't express.
+* It is called with the target element and the start event provided by the browser,
+* and returns `true` to leave the gesture to the content (see `ignoreSelector`).
+*
+* @property {function} ignoreFilter
+* @default null
+*
+**/
+
+/**
+*
+* What dragging with the mouse does (touches and pens always drag the scroller):
+*
+* Valid values:
+*  - drag: scrolls the content (`Scroller.MOUSE_DRAG_MODE_DRAG`)
+*  - select: selects text, while the wheel and the scrollbars still scroll (`Scroller.MOUSE_DRAG_MODE_SELECT`)
+*  - modifier: scrolls while the `mouseDragModifier` key is held and selects text otherwise (`Scroller.MOUSE_DRAG_MODE_MODIFIER`)
+*
+* When selecting text close to the edges of the wrapper (or beyond them) the content scrolls,
+* faster the further the mouse goes (see `Scroller.AUTO_SCROLL_EDGE` and `Scroller.AUTO_SCROLL_MAX_SPEED`).
+*
+* @property {string} mouseDragMode
+* @default "drag"
+*
+**/
+
+/**
+*
+* Key to hold to drag the scroller with the mouse when `mouseDragMode` is `modifier`.
+*
+* Valid values:
+*  - alt
+*  - shift
+*  - ctrl
+*  - meta
+*
+* @property {string} mouseDragModifier
+* @default "alt"
+*
+**/
+
+/**
+*
+* Thresholds of the recognizers of the `Gestures` plugin (`plugins: ['Gestures']`),
+* which fires `tap`, `doubleTap`, `longPress` and `swipe` (with the direction and the velocity).
+* Times are in ms, distances in px and velocities in px/ms. Set a recognizer to `false` to turn it off
+* (a double-tap is made of two taps, so it needs the `tap` recognizer).
+*
+*  - tap: `time` (longest press) and `distance` (furthest move). Moves past `Scroller.TAP_THRESHOLD` still cancel the click.
+*    Without it the scroller fires its own `tap` (within `Scroller.TAP_THRESHOLD`).
+*  - doubleTap: `interval` (longest time between the taps) and `distance` (between the taps).
+*  - longPress: `time` (shortest press) and `distance` (furthest move). A long-press stops the scroller for the rest of the gesture.
+*  - swipe: `distance` (shortest move) and `velocity` (slowest release).
+*
+* @property {Object} gestures
+* @default "{tap: {time: 250, distance: 10}, doubleTap: {interval: 300, distance: 20}, longPress: {time: 500, distance: 10}, swipe: {distance: 30, velocity: 0.3}}"
+*
+**/
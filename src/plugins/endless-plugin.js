@@ -58,20 +58,24 @@
         _recycleEnableTest: function () {
             return true;
         },
-        _initializePositions: function () {
+        _anchorSurfaces: function () {
+            // An endless list has no start to anchor the surfaces to
+        },
+        _initializePositions: function (startIndex, startOffset) {
             var items         = this.items,
                 itemsSize     = items.length,
                 positioned    = this.surfacesPositioned,
+                first         = startIndex || 0,
                 sizeNotCover  = true,
-                sizeNeeded    = this.wrapperSize + this.activeOffset,
-                heightSum     = 0,
+                heightSum     = startOffset || 0,
+                sizeNeeded    = heightSum + this.wrapperSize + this.activeOffset,
                 i,j,
                 item, surface, height;
 
             for (i = 0; i < itemsSize && sizeNotCover; i++) {
-                item          = items[i];
+                item          = items[this._mod(first + i)];
                 surface       = this._getAvailableSurface();
-                heightSum     += this._attachItemInSurface(item, surface, {index: i, offset: heightSum});
+                heightSum     += this._attachItemInSurface(item, surface, {index: this._mod(first + i), offset: heightSum});
                 sizeNotCover  = heightSum < sizeNeeded;
                 positioned[i] = surface;
             }
@@ -87,9 +91,9 @@
             }
             
             for (j = itemsSize - 1; j >= i && sizeNotCover; j--) {
-                item          = items[j];
+                item          = items[this._mod(first + j)];
                 surface       = this._getAvailableSurface();
-                heightSum     += this._attachItemInSurface(item, surface, {index: j, offset: positioned[0].offset, preCalculateSize: true});
+                heightSum     += this._attachItemInSurface(item, surface, {index: this._mod(first + j), offset: positioned[0].offset, preCalculateSize: true});
                 positioned.unshift(surface);
                 sizeNotCover = heightSum < sizeNeeded;
             }
@@ -0,0 +1,232 @@
+/*
+ * Copyright (C) 2013 salesforce.com, inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function (w) {
+    'use strict';
+
+    var SCROLLER = w.__S || (w.__S = {}), //NAMESPACE
+        NOW      = Date.now || function () { return new Date().getTime(); },
+        PLUGINS  = SCROLLER.plugins || (SCROLLER.plugins = {}),
+
+        // Thresholds of every recognizer (`gestures` option), times in ms and distances in px
+        CONFIG_DEFAULTS = {
+            tap       : {time: 250, distance: 10},      // Longest press and furthest move of a tap
+            doubleTap : {interval: 300, distance: 20},  // Longest time and distance between two taps
+            longPress : {time: 500, distance: 10},      // Shortest press and furthest move of a long-press
+            swipe     : {distance: 30, velocity: 0.3}   // Shortest move and slowest release (px/ms) of a swipe
+        },
+
+        // The velocity of a swipe is measured on the last ms of the gesture
+        VELOCITY_WINDOW = 100,
+        EVENT_NAMESPACE = '.gestures';
+
+    /**
+    * Recognizes single pointer gestures from the input of the scroller and fires:
+    *
+    *  - `tap(target, event)`
+    *  - `doubleTap(target, event)`: after the `tap` of the second tap
+    *  - `longPress(target, event)`: while the pointer is still down, it cancels the scroll of the gesture
+    *  - `swipe(direction, velocity, target, event)`: `left`, `right`, `up` or `down` and the velocity in px/ms
+    *
+    * The target is the element where the gesture started.
+    * The gestures that start in ignored regions (see `ignoreSelector`) are not recognized.
+    */
+    function Gestures() {}
+
+    Gestures.prototype = {
+        init: function () {
+            this._hook('before', 'handleInput', this._recognizeGesture);
+            this.on('destroy' + EVENT_NAMESPACE, this._resetGesture);
+        },
+        destroy: function () {
+            this._resetGesture();
+            this._lastTap = null;
+        },
+        _fireTap: function (target, e) {
+            // The recognizer fires the taps (with its own thresholds), unless it is turned off
+            if (!this._getGestureOptions('tap')) {
+                SCROLLER.constructor.prototype._fireTap.call(this, target, e);
+            }
+        },
+        _getGestureOptions: function (name) {
+            var config = (this.opts.gestures || {})[name];
+            return config === false ? null : this._mergeConfigOptions(CONFIG_DEFAULTS[name], config);
+        },
+        _recognizeGesture: function (e) {
+            var point;
+
+            if (e.type === 'start') {
+                // A second pointer turns the gesture into something else (a pinch...)
+                if (e.isFirst && this.enabled && !this._isIgnoredTarget(e.target, e.srcEvent)) {
+                    this._startGesture(e);
+                } else {
+                    this._cancelRecognition();
+                }
+                return;
+            }
+
+            point = this._getGesturePointer(e);
+
+            if (!point) {
+                return;
+            }
+
+            if (e.type === 'move') {
+                this._moveGesture(point);
+            } else if (e.type === 'end') {
+                this._endGesture(point, e);
+            } else {
+                this._cancelRecognition();
+            }
+        },
+        _getGesturePointer: function (e) {
+            var gesture  = this._gesture,
+                pointers = e.changedPointers,
+                i;
+
+            for (i = 0; gesture && i < pointers.length; i++) {
+                if (pointers[i].id === gesture.id) {
+                    return pointers[i];
+                }
+            }
+            return null;
+        },
+        _startGesture: function (e) {
+            var self      = this,
+                point     = e.changedPointers[0],
+                longPress = this._getGestureOptions('longPress');
+
+            this._resetGesture();
+
+            this._gesture = {
+                id       : point.id,
+                target   : e.target,
+                srcEvent : e.srcEvent,
+                x        : point.pageX,
+                y        : point.pageY,
+                time     : NOW(),
+                distance : 0,
+                samples  : [{x: point.pageX, y: point.pageY, time: NOW()}],
+                // A tap that stops the scroller is not a tap
+                stoppedScrolling : this._isScrolling
+            };
+
+            if (longPress) {
+                this._longPressTimeout = w.setTimeout(function () {
+                    self._longPress();
+                }, longPress.time);
+            }
+        },
+        _moveGesture: function (point) {
+            var gesture   = this._gesture,
+                samples   = gesture.samples,
+                longPress = this._getGestureOptions('longPress'),
+                now       = NOW();
+
+            gesture.distance = Math.max(gesture.distance, Math.abs(point.pageX - gesture.x), Math.abs(point.pageY - gesture.y));
+
+            samples.push({x: point.pageX, y: point.pageY, time: now});
+            while (samples.length > 2 && now - samples[1].time >= VELOCITY_WINDOW) {
+                samples.shift();
+            }
+
+            if (longPress && gesture.distance > longPress.distance) {
+                w.clearTimeout(this._longPressTimeout);
+            }
+        },
+        _endGesture: function (point, e) {
+            var gesture = this._gesture,
+                tap     = this._getGestureOptions('tap');
+
+            this._moveGesture(point);
+            this._resetGesture();
+
+            if (gesture.longPressed) {
+                // The browser still clicks when a mouse is released after a long-press
+                this._preventClickTime = NOW();
+                return;
+            }
+
+            if (tap && !gesture.stoppedScrolling && gesture.distance <= tap.distance && NOW() - gesture.time <= tap.time) {
+                this._tap(gesture, e);
+            } else {
+                // Only consecutive taps make a double-tap
+                this._lastTap = null;
+                this._swipe(gesture, point, e);
+            }
+        },
+        _tap: function (gesture, e) {
+            var doubleTap = this._getGestureOptions('doubleTap'),
+                last      = this._lastTap,
+                now       = NOW();
+
+            this._fire('tap', gesture.target, e.srcEvent);
+
+            if (doubleTap && last && now - last.time <= doubleTap.interval &&
+                Math.max(Math.abs(gesture.x - last.x), Math.abs(gesture.y - last.y)) <= doubleTap.distance) {
+                this._lastTap = null;
+                this._fire('doubleTap', gesture.target, e.srcEvent);
+                return;
+            }
+
+            this._lastTap = {x: gesture.x, y: gesture.y, time: now};
+        },
+        _swipe: function (gesture, point, e) {
+            var swipe      = this._getGestureOptions('swipe'),
+                first      = gesture.samples[0],
+                last       = gesture.samples[gesture.samples.length - 1],
+                deltaX     = point.pageX - gesture.x,
+                deltaY     = point.pageY - gesture.y,
+                horizontal = Math.abs(deltaX) > Math.abs(deltaY),
+                velocity, direction;
+
+            if (!swipe || Math.max(Math.abs(deltaX), Math.abs(deltaY)) < swipe.distance) {
+                return;
+            }
+
+            velocity = Math.abs(horizontal ? last.x - first.x : last.y - first.y) / Math.max(last.time - first.time, 1);
+
+            if (velocity >= swipe.velocity) {
+                direction = horizontal ? (deltaX < 0 ? 'left' : 'right') : (deltaY < 0 ? 'up' : 'down');
+                this._fire('swipe', direction, velocity, gesture.target, e.srcEvent);
+            }
+        },
+        _longPress: function () {
+            var gesture = this._gesture;
+
+            this._longPressTimeout = null;
+            gesture.longPressed    = true;
+            this._lastTap          = null;
+
+            // The long-press owns the rest of the gesture: the scroller stops (as when it locks)
+            this._cancelGesture();
+
+            this._fire('longPress', gesture.target, gesture.srcEvent);
+        },
+        _cancelRecognition: function () {
+            // A gesture that is not a tap breaks a double-tap
+            this._resetGesture();
+            this._lastTap = null;
+        },
+        _resetGesture: function () {
+            w.clearTimeout(this._longPressTimeout);
+            this._longPressTimeout = null;
+            this._gesture = null;
+        }
+    };
+
+    PLUGINS.Gestures = Gestures;
+
+}(window));
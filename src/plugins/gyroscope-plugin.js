@@ -33,11 +33,17 @@
         init: function () {
             this.on('_initialize', this._initGyroscope);
         },
+        destroy: function () {
+            window.removeEventListener('deviceorientation', this._handleGyroscope, false);
+            CAF(this._rafGyro);
+            this._rafGyro = null;
+        },
         _initGyroscope: function () {
             var self = this;
-            this._handleGirscope = window.addEventListener('deviceorientation', function () {
+            this._handleGyroscope = function () {
                 self._gyroMove.apply(self, arguments);
-            }, false);
+            };
+            window.addEventListener('deviceorientation', this._handleGyroscope, false);
         },
         _gyroMove: function (e) {
             if (!this._initDegree) {
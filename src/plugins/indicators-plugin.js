@@ -21,6 +21,7 @@
         RAF      = w.requestAnimationFrame,
         STYLES   = SCROLLER.styles,
         HELPERS  = SCROLLER.helpers,
+        INPUT    = SCROLLER.Input,
         PLUGINS  = SCROLLER.plugins || (SCROLLER.plugins = {}),
 
         DEFAULTS_INDICATOR = {
@@ -57,7 +58,9 @@
             'right:1px'
         ].join(';'),
 
-        FULL_INDICATOR_RATIO = -0.1;
+        FULL_INDICATOR_RATIO = -0.1,
+        EVENT_NAMESPACE      = '.indicators',
+        CLASS_NATIVE         = 'scroll-native-indicators';
 
     function Indicator (scroller, options) {
         this.wrapper        = typeof options.el === 'string' ? document.querySelector(options.el) : options.el;
@@ -65,7 +68,8 @@
         this.indicatorStyle = this.indicator.style;
         this.scroller       = scroller;
         this.opts           = HELPERS.simpleMerge(DEFAULTS_INDICATOR, options);
-        this.scrollVertical = scroller.scrollVertical;
+        // When the scroller moves on both directions, each indicator tracks its own axis
+        this.scrollVertical = options.scroll ? options.scroll === 'vertical' : scroller.scrollVertical;
 
         this.sizeRatioX   = 1;
         this.sizeRatioY   = 1;
@@ -74,68 +78,47 @@
         this.virtualSizeX = 1;
         this.virtualSizeY = 1;
 
+        // The input layer of the scroller turns every source (touch, mouse and pointers) into the same events
         if (this.opts.interactive) {
-            if (!this.opts.disableTouch) {
-                HELPERS.bind(this.indicator, 'touchstart', this);
-                HELPERS.bind(window, 'touchend', this);
-            }
-            if (!this.opts.disablePointer) {
-                HELPERS.bind(this.indicator, 'MSPointerDown', this);
-                HELPERS.bind(window, 'MSPointerUp', this);
-            }
-            if (!this.opts.disableMouse) {
-                HELPERS.bind(this.indicator, 'mousedown', this);
-                HELPERS.bind(window, 'mouseup', this);
-            }
+            this._input = new INPUT(this.indicator, this, {
+                target        : window,
+                pointerEvents : !this.opts.disablePointer,
+                types         : {touch: !this.opts.disableTouch, mouse: !this.opts.disableMouse}
+            });
         }
     }
 
     Indicator.prototype = {
-        handleEvent: function (e) {
+        handleInput: function (e) {
             switch ( e.type ) {
-                case 'touchstart':
-                case 'MSPointerDown':
-                case 'mousedown':
+                case 'start':
                     this._start(e);
                     break;
-                case 'touchmove':
-                case 'MSPointerMove':
-                case 'mousemove':
+                case 'move':
                     this._move(e);
                     break;
-                case 'touchend':
-                case 'MSPointerUp':
-                case 'mouseup':
-                case 'touchcancel':
-                case 'MSPointerCancel':
-                case 'mousecancel':
+                case 'end':
+                case 'cancel':
                     this._end(e);
                     break;
             }
         },
 
         destroy: function () {
-            if ( this.opts.interactive ) {
-                HELPERS.unbind(this.indicator, 'touchstart', this);
-                HELPERS.unbind(this.indicator, 'MSPointerDown', this);
-                HELPERS.unbind(this.indicator, 'mousedown', this);
-
-                HELPERS.unbind(window, 'touchmove', this);
-                HELPERS.unbind(window, 'MSPointerMove', this);
-                HELPERS.unbind(window, 'mousemove', this);
-
-                HELPERS.unbind(window, 'touchend', this);
-                HELPERS.unbind(window, 'MSPointerUp', this);
-                HELPERS.unbind(window, 'mouseup', this);
+            if (this._input) {
+                this._input.destroy();
+                this._input = null;
             }
         },
 
         _start: function (e) {
-            var point = e.touches ? e.touches[0] : e;
+            var point = e.changedPointers[0];
 
             e.preventDefault();
             e.stopPropagation();
 
+            // Dragging the indicator goes on outside of it (and outside of the window)
+            this._input.capture(e);
             this.transitionTime(0);
 
             this.initiated  = true;
@@ -143,20 +126,10 @@
             this.lastPointX = point.pageX;
             this.lastPointY = point.pageY;
             this.startTime  = NOW();
-
-            if (!this.opts.disableTouch) {
-                HELPERS.bind(window, 'touchmove', this);
-            }
-            if (!this.opts.disablePointer) {
-                HELPERS.bind(window, 'MSPointerMove', this);
-            }
-            if ( !this.opts.disableMouse ) {
-                HELPERS.bind(window, 'mousemove', this);
-            }
         },
 
         _move: function (e) {
-            var point     = e.touches ? e.touches[0] : e,
+            var point     = e.changedPointers[0],
                 timestamp = NOW(),
                 deltaX, deltaY, newX, newY;
 
@@ -189,10 +162,6 @@
 
             e.preventDefault();
             e.stopPropagation();
-
-            HELPERS.unbind(window, 'touchmove', this);
-            HELPERS.unbind(window, 'MSPointerMove', this);
-            HELPERS.unbind(window, 'mousemove', this);
         },
         _pos: function (x, y) {
             var self = this;
@@ -209,6 +178,10 @@
                 y = this.maxPosY;
             }
 
+            if (!this.scrollVertical && this.scroller.rtl) {
+                x = this.maxPosX - x;
+            }
+
             x = !this.scrollVertical ? Math.round(x / this.sizeRatioX) : this.scroller.x;
             y = this.scrollVertical  ? Math.round(y / this.sizeRatioY) : this.scroller.y;
 
@@ -349,6 +322,11 @@
                 }
             } 
 
+            // Mirror the horizontal indicator on right-to-left scrollers
+            if (!this.scrollVertical && this.scroller.rtl) {
+                x = this.maxPosX - x;
+            }
+
             this.x = x;
             this.y = y;
 
@@ -369,15 +347,21 @@
             this._indicators = [];
             this._virtualScroll = 0;
 
-            this.on('_initialize', this._initializeIndicators);
-            this.on('_update', this._updateIndicators);
-            this.on('_refresh', this._refreshIndicators);
+            this.on('_initialize' + EVENT_NAMESPACE, this._initializeIndicators);
+            this.on('_update' + EVENT_NAMESPACE, this._updateIndicators);
+            this.on('_refresh' + EVENT_NAMESPACE, this._refreshIndicators);
+            this.on('zoomEnd' + EVENT_NAMESPACE, this._refreshIndicators);
+            this.on('optionsChanged' + EVENT_NAMESPACE, this._optionsChangedIndicators);
+            this.on('destroy' + EVENT_NAMESPACE, this._destroyIndicators);
 
             this._hook('after', '_transitionTime', this._transitionTimeIndicators);
             this._hook('after', '_transitionEasing', this._transitionEasingIndicators);
             this._hook('after', '_translate', this._updateIndicators);
             this._hook('after', '_setInfiniteScrollerSize', this._setVirtualScrollSize);
         },
+        destroy: function () {
+            this._removeIndicators();
+        },
         _initializeIndicators: function () {
             var self = this;
             if (this.opts.scrollbars) {
@@ -390,12 +374,13 @@
             this._initVirtualScrollSize();                
         },
         _initVirtualScrollSize: function () {
-            var hasScroll     = this.scrollVertical ? this.hasScrollY : this.hasScrollX,
-                virtualSize   = this.scrollVertical ? 'virtualSizeY'  : 'virtualSizeX',
-                virtualScroll = hasScroll ? this._virtualScroll : 0;
+            var self = this;
 
             this._indicators.forEach(function (i) {
-                i[virtualSize] = virtualScroll;
+                var hasScroll   = i.scrollVertical ? self.hasScrollY : self.hasScrollX,
+                    virtualSize = i.scrollVertical ? 'virtualSizeY'  : 'virtualSizeX';
+
+                i[virtualSize] = hasScroll ? self._virtualScroll : 0;
                 i.refresh();
             });
         },
@@ -412,6 +397,28 @@
                 });
             }
         },
+        _destroyIndicators: function () {
+            this._indicators.forEach(function (i) {i.destroy();});
+            this._indicators = [];
+            this.off(EVENT_NAMESPACE);
+        },
+        _optionsChangedIndicators: function (changed) {
+            // The default scrollbars depend on the scroll direction, create them again
+            if (changed.scroll || changed.scrollbars || changed.indicators || changed.mode) {
+                this._removeIndicators();
+                this._initializeIndicators();
+            }
+        },
+        _removeIndicators: function () {
+            this._indicators.forEach(function (i) {
+                i.destroy();
+                if (i.opts.scrollbar) {
+                    this.wrapper.removeChild(i.wrapper);
+                }
+            }, this);
+            this._indicators = [];
+            this.scroller.classList.remove(CLASS_NATIVE);
+        },
         _updateIndicators: function () {
             this._indicators.forEach(function (i) {i.updatePosition();});
         },
@@ -430,13 +437,24 @@
         _createDefaultScrollbars: function (config) {
             var interactive = true,  // TODO:
                 customStyle = false, // Move those two as params
-                scrollbar   = this._createDefaultScrollbar(this.scrollVertical, interactive, customStyle);
-            this.wrapper.appendChild(scrollbar);
-            
-            this._indicators.push(new Indicator(this, {
-                el          : scrollbar,
-                interactive : interactive,
-            }));
+                directions  = this.scrollBoth ? ['vertical', 'horizontal'] : [this.scroll];
+
+            // Hide the native scrollbars in native mode
+            if (this.nativeScroll) {
+                this.scroller.classList.add(CLASS_NATIVE);
+            }
+
+            directions.forEach(function (direction) {
+                var scrollbar = this._createDefaultScrollbar(direction === 'vertical', interactive, customStyle);
+                this.wrapper.appendChild(scrollbar);
+
+                this._indicators.push(new Indicator(this, {
+                    el          : scrollbar,
+                    interactive : interactive,
+                    scroll      : direction,
+                    scrollbar   : true
+                }));
+            }, this);
         },
         _createDefaultScrollbar: function (vertical, interactive, customStyle) {
             var scrollbar            = w.document.createElement('div'),
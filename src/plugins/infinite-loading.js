@@ -23,14 +23,16 @@
             labelNoData : 'No more data to display',
             threshold   : null
         },
-        CLASS_FETCHING = 'loading';
+        CLASS_FETCHING  = 'loading',
+        EVENT_NAMESPACE = '.infiniteLoading';
     
     function InfiniteLoading () {}
 
     InfiniteLoading.prototype = {
         init: function () {
             this._mergeInfiniteLoading();
-            this.on('_initialize', this._initInfiniteLoading);
+            this.on('_initialize' + EVENT_NAMESPACE, this._initInfiniteLoading);
+            this.on('destroy' + EVENT_NAMESPACE, this._destroyInfiniteLoading);
         },
         _mergeInfiniteLoading: function () {
             this.opts.infiniteLoadingConfig = this._mergeConfigOptions(
@@ -47,10 +49,13 @@
                 return;
             }
 
-            this.on('scrollMove', thresholdCheck);
-            this.on('scrollEnd',  thresholdCheck);
+            this.on('scrollMove' + EVENT_NAMESPACE, thresholdCheck);
+            this.on('scrollEnd'  + EVENT_NAMESPACE, thresholdCheck);
             this._itemsThreshold = this.items && this.items.length || 10;
         },
+        _destroyInfiniteLoading: function () {
+            this.off(EVENT_NAMESPACE);
+        },
         _triggerInfiniteLoadingDataProvider: function () {
             var self            = this,
                 ilDataProvider  = this.opts.infiniteLoadingConfig.dataProvider,
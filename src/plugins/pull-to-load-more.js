@@ -45,6 +45,17 @@
             this._mergePullToLoadMoreConfig();
             this.on('_initialize', this._appendPullToLoad);
             this.on('scrollMove', this._onScrollMovePTL);
+            this.on('_getState', this._getStatePTL);
+            this.on('_restoreState', this._restoreStatePTL);
+        },
+        _getStatePTL: function (state) {
+            state.pullToLoadMore = !!this.opts.pullToLoadMore;
+        },
+        _restoreStatePTL: function (state) {
+            if (state.pullToLoadMore !== undefined && state.pullToLoadMore !== !!this.opts.pullToLoadMore) {
+                this.togglePullToLoadMore(state.pullToLoadMore);
+                this._setSize();
+            }
         },
         _mergePullToLoadMoreConfig: function () {
             this.opts.pullToLoadMoreConfig = this._mergeConfigOptions(CONFIG_DEFAULTS, this.opts.pullToLoadMoreConfig);
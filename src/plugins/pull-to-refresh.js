@@ -45,6 +45,8 @@
             this.on('_initialize', this._appendPullToRefresh);
             this.on('scrollMove', this._onScrollMovePTR);
             this.on('_customResetPosition', this._onResetPositionPTR);
+            this.on('_getState', this._getStatePTR);
+            this.on('_restoreState', this._restoreStatePTR);
         },
         _mergePullToRefreshConfig: function () {
             this.opts.pullToRefreshConfig = this._mergeConfigOptions(CONFIG_DEFAULTS, this.opts.pullToRefreshConfig);
@@ -81,6 +83,15 @@
 
             this.togglePullToRefresh(this.opts.pullToRefresh, true);
         },
+        _getStatePTR: function (state) {
+            state.pullToRefresh = !!this.opts.pullToRefresh;
+        },
+        _restoreStatePTR: function (state) {
+            if (state.pullToRefresh !== undefined && state.pullToRefresh !== !!this.opts.pullToRefresh) {
+                this.togglePullToRefresh(state.pullToRefresh);
+                this._setSize();
+            }
+        },
         _onResetPositionPTR: function (time) {
             if (this._ptrTriggered) {
                 var y    = this._getPTRSize();
@@ -132,9 +143,12 @@
             }
         },
         _needsPullToRefresh: function (ypos) {
+            // The native scrolling stops once the element is fully in view
+            var pulled = ypos > this._ptrThreshold || (this.nativeScroll && ypos === this._ptrThreshold);
+
             if (this._ptrTriggered && ypos < this._ptrThreshold) {
                 this._setPullState(false);
-            } else if (!this._ptrTriggered && ypos > this._ptrThreshold) {
+            } else if (!this._ptrTriggered && pulled) {
                 this._setPullState(true);
             }
         },
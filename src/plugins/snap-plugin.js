@@ -35,6 +35,31 @@
         },
         _bindSnap: function () {
             this.on('beforeScrollStart', this._snapStart);
+            this.on('_getState', this._getStateSnap);
+            this.on('_restoreState', this._restoreStateSnap);
+        },
+        _getStateSnap: function (state) {
+            var vertical = this.scrollVertical,
+                pos      = vertical ? this.y : this.x;
+
+            state.snapPage = Math.round(-pos / this._getSnapSize(vertical));
+        },
+        _restoreStateSnap: function (state) {
+            var vertical = this.scrollVertical,
+                pos;
+
+            if (state.snapPage === undefined) {
+                return;
+            }
+
+            // The snap size may have changed (ex. orientation change) so restore the page, not the pixels
+            pos = -state.snapPage * this._getSnapSize(vertical);
+
+            if (vertical) {
+                state.y = pos;
+            } else {
+                state.x = pos;
+            }
         },
         _snapStart: function () {
             this.initX = this.startX;
@@ -27,6 +27,10 @@
             this.on('_initialize', this._updateZoomFX);
             this.on('_update', this._updateZoomFX);
         },
+        destroy: function () {
+            // Put the surfaces back in their plain position
+            this.surfacesPositioned.forEach(function (s) {this._positionSurface(s, s.offset);}, this);
+        },
         _updateZoomFX: function () {
             var self       = this,
                 surfaces   = this.surfacesPositioned,
@@ -48,7 +52,7 @@
                 bottom       = pos + size,
                 percent      = this._getNormalizedPosition(offset, top, size),
                 y            = this.scrollVertical  ? offset : 0,
-                x            = !this.scrollVertical ? offset : 0,
+                x            = !this.scrollVertical ? (this.rtl ? -offset : offset) : 0,
                 matrix;
 
             matrix = this._calculateMatrixEffect(x, y, percent);
@@ -28,6 +28,7 @@
         SUPPORT        = SCROLLER.support,
         STYLES         = SCROLLER.styles,
         CubicBezier    = SCROLLER.CubicBezier,
+        INPUT          = SCROLLER.Input,
 
         /*
         * For the sake of simplicity, these action-string
@@ -44,28 +45,33 @@
         HOOK_BEFORE          = 'before',
         HOOK_AFTER           = 'after',
 
-        /**
-        * Distinguish the type of touch events so they don't conflict in certain
-        * contexts, like Dual gestures on Windows Tablets or in ChromeDevTools. 
-        * (There's a bug where enabling touch gestures fires both types.)
-        *
-        */
-        EVENT_TYPE = {
-            touchstart : 1,
-            touchmove  : 1,
-            touchend   : 1,
+        // Property of the wrapper element that references its scroller instance
+        // (used to find the nested and ancestor scrollers of a gesture)
+        INSTANCE_KEY         = '__scroller',
+        CHAIN_NAMESPACE      = '.overscrollChain',
 
-            mousedown : 2,
-            mousemove : 2,
-            mouseup   : 2,
+        // Attributes of the regions inside the content that own their gestures:
+        // all of them (ignore) or the ones along a direction (lock)
+        IGNORE_ATTRIBUTE     = 'data-scroller-ignore',
+        LOCK_ATTRIBUTE       = 'data-scroller-lock',
 
-            pointerdown : 3,
-            pointermove : 3,
-            pointerup   : 3,
+        // Options that decide which plugins are plugged when the scroller is created (see `setOptions`)
+        CREATION_OPTIONS = ['plugins', 'pullToRefresh', 'pullToLoadMore'],
 
-            MSPointerDown : 4,
-            MSPointerMove : 4,
-            MSPointerUp   : 4
+        /**
+        * Maps legacy `keyCode` values to `KeyboardEvent.key` names
+        * for browsers that don't support `key` yet.
+        */
+        KEY_CODES = {
+            32 : ' ',
+            33 : 'PageUp',
+            34 : 'PageDown',
+            35 : 'End',
+            36 : 'Home',
+            37 : 'ArrowLeft',
+            38 : 'ArrowUp',
+            39 : 'ArrowRight',
+            40 : 'ArrowDown'
         },
 
         /**
@@ -88,6 +94,183 @@
         */
         SCROLL_HORIZONTAL = 'horizontal',
 
+        /**
+        * Identifies free scrolling on both axes.
+        *
+        * @property SCROLL_BOTH
+        * @type String
+        * @static
+        * @final
+        */
+        SCROLL_BOTH = 'both',
+
+        /**
+        * The scroller keeps the gestures that start on it, bouncing at its edges.
+        *
+        * @property OVERSCROLL_CONTAIN
+        * @type String
+        * @static
+        * @final
+        */
+        OVERSCROLL_CONTAIN = 'contain',
+
+        /**
+        * Gestures that hit the edges of the scroller go on to the nearest ancestor scroller (or the document).
+        *
+        * @property OVERSCROLL_CHAIN
+        * @type String
+        * @static
+        * @final
+        */
+        OVERSCROLL_CHAIN = 'chain',
+
+        /**
+        * The scroller keeps the gestures that start on it and stops at its edges (no bounce).
+        *
+        * @property OVERSCROLL_NONE
+        * @type String
+        * @static
+        * @final
+        */
+        OVERSCROLL_NONE = 'none',
+
+        /**
+        * The scroller moves its content with transforms and its own gestures and physics.
+        *
+        * @property MODE_SYNTHETIC
+        * @type String
+        * @static
+        * @final
+        */
+        MODE_SYNTHETIC = 'synthetic',
+
+        /**
+        * The browser scrolls the content (`overflow: auto`) and the scroller follows its position.
+        *
+        * @property MODE_NATIVE
+        * @type String
+        * @static
+        * @final
+        */
+        MODE_NATIVE = 'native',
+
+        /**
+        * Wheel events move the scroller right away.
+        *
+        * @property WHEEL_MODE_INSTANT
+        * @type String
+        * @static
+        * @final
+        */
+        WHEEL_MODE_INSTANT = 'instant',
+
+        /**
+        * Every wheel event is animated with `EASING.regular` (in `WHEEL_SMOOTH_TIME` ms).
+        *
+        * @property WHEEL_MODE_SMOOTH
+        * @type String
+        * @static
+        * @final
+        */
+        WHEEL_MODE_SMOOTH = 'smooth',
+
+        /**
+        * Wheel events add velocity to the scroller, which decays with `WHEEL_DECELERATION_RATE`.
+        *
+        * @property WHEEL_MODE_INERTIAL
+        * @type String
+        * @static
+        * @final
+        */
+        WHEEL_MODE_INERTIAL = 'inertial',
+
+        /**
+        * Horizontal scrollers follow the larger delta of the wheel events,
+        * so both a vertical wheel and a horizontal trackpad swipe move them.
+        *
+        * @property WHEEL_AXIS_AUTO
+        * @type String
+        * @static
+        * @final
+        */
+        WHEEL_AXIS_AUTO = 'auto',
+
+        /**
+        * Every delta of the wheel events moves its own axis only.
+        *
+        * @property WHEEL_AXIS_STRICT
+        * @type String
+        * @static
+        * @final
+        */
+        WHEEL_AXIS_STRICT = 'strict',
+
+        /**
+        * Vertical deltas of the wheel events move the x-axis and horizontal deltas the y-axis.
+        *
+        * @property WHEEL_AXIS_SWAP
+        * @type String
+        * @static
+        * @final
+        */
+        WHEEL_AXIS_SWAP = 'swap',
+
+        /**
+        * Dragging with the mouse scrolls, as touches do.
+        *
+        * @property MOUSE_DRAG_MODE_DRAG
+        * @type String
+        * @static
+        * @final
+        */
+        MOUSE_DRAG_MODE_DRAG = 'drag',
+
+        /**
+        * Dragging with the mouse selects text (the wheel and the scrollbars still scroll).
+        *
+        * @property MOUSE_DRAG_MODE_SELECT
+        * @type String
+        * @static
+        * @final
+        */
+        MOUSE_DRAG_MODE_SELECT = 'select',
+
+        /**
+        * Dragging with the mouse scrolls while the `mouseDragModifier` key is held, and selects text otherwise.
+        *
+        * @property MOUSE_DRAG_MODE_MODIFIER
+        * @type String
+        * @static
+        * @final
+        */
+        MOUSE_DRAG_MODE_MODIFIER = 'modifier',
+
+        /**
+        * `deltaMode` values of the wheel events (as in `WheelEvent.DOM_DELTA_LINE` and `DOM_DELTA_PAGE`).
+        */
+        DELTA_LINE = 1,
+        DELTA_PAGE = 2,
+
+        /**
+        * Maps `overscrollBehavior` to the CSS `overscroll-behavior` of the native mode.
+        */
+        NATIVE_OVERSCROLL = {
+            contain : 'contain',
+            chain   : 'auto',
+            none    : 'none'
+        },
+
+        /**
+        * Default selector of the elements that keep the browser defaults when a gesture starts on them,
+        * so form fields can be focused (see the `preventDefaultException` option).
+        *
+        * @property PREVENT_DEFAULT_EXCEPTION
+        * @type {string}
+        * @static
+        * @default "input, textarea, select, [data-scroller-ignore]"
+        */
+        PREVENT_DEFAULT_EXCEPTION = 'input, textarea, select, [data-scroller-ignore]',
+
         /**
         * Default configuration for the scroller.
         * This option can be modified at the static level
@@ -101,7 +284,8 @@
             enabled               : true,
             bounceTime            : 600,
             useCSSTransition      : false,
-            dualListeners         : false,
+            dualListeners         : false, // Deprecated: the input layer handles every source
+            inputTypes            : null,  // {touch, mouse, pen}: false ignores that type of pointer
             minThreshold          : 5,     // It should be in the [0, 10] range
             minDirectionThreshold : 2,     // It should be smaller than minThreshold
             lockOnDirection       : null,
@@ -114,7 +298,29 @@
             scrollbars            : false,
             infiniteLoading       : false,
             gpuOptimization       : false,
-            debounce              : true
+            debounce              : true,
+            zoom                  : false,
+            zoomMin               : 1,
+            zoomMax               : 4,
+            keyboard              : false,
+            rtl                   : null,  // null: use the direction of the wrapper
+            physics               : 'default',
+            velocityStrategy      : 'leastSquares', // or 'exponential'
+            overscrollBehavior    : OVERSCROLL_CONTAIN,
+            mode                  : MODE_SYNTHETIC,
+            wheelMode             : WHEEL_MODE_INSTANT,
+            wheelSpeed            : null,  // null: use Scroller.MOUSE_WHEEL_SPEED
+            wheelInverted         : null,  // null: use Scroller.MOUSE_WHEEL_INVERTED
+            wheelAxis             : WHEEL_AXIS_AUTO,
+            wheelMultiplierX      : 1,
+            wheelMultiplierY      : 1,
+            autoRefresh           : false,
+            preventDefaultException : PREVENT_DEFAULT_EXCEPTION,
+            clickOnTap            : false,
+            ignoreSelector        : null,  // Besides the elements with `data-scroller-ignore`
+            ignoreFilter          : null,  // function (target, event): true skips the gesture
+            mouseDragMode         : MOUSE_DRAG_MODE_DRAG,
+            mouseDragModifier     : 'alt'  // alt, shift, ctrl or meta
         },
 
         /**
@@ -196,806 +402,3624 @@
         * @static
         * @default "false"
         */
-        MOUSE_WHEEL_INVERTED  = false;
-
-    /**
-    * Scroller class that provides the core logic for scrolling.
-    *
-    * @class Scroller
-    * @param el {HTMLElement} DOM element to attach the Scroller.
-    * @param config {Object} Object literal with initial attribute values.
-    * @constructor
-    */
-    function Scroller (el, config) {
-        config || (config = {});
-        
-        this._initializeScroller();
-        this._setConfig(config);
-        this._setElement(el);
-        this._setSize();
-        this._initializePlugins(config);
-        this._initialize();
+        MOUSE_WHEEL_INVERTED  = false,
 
-        this._handleEvents('bind');
-    }
+        /**
+        * Specifies how many px a line scrolls, for wheel events with `deltaMode` in lines.
+        *
+        * @property WHEEL_LINE_HEIGHT
+        * @type {integer}
+        * @static
+        * @default "16"
+        */
+        WHEEL_LINE_HEIGHT     = 16,
 
-    // Attach and expose Statics into the Scroller Class
-    Scroller.DEFAULTS              = DEFAULTS;
-    Scroller.CubicBezier           = CubicBezier;
-    Scroller.EASING_REGULAR        = EASING_REGULAR;
-    Scroller.EASING_BOUNCE         = EASING_BOUNCE;
-    Scroller.EASING                = EASING;
-    Scroller.MIN_VELOCITY          = MIN_VELOCITY;
-    Scroller.ACCELERATION_CONSTANT = ACCELERATION_CONSTANT;
-    Scroller.SCROLL_VERTICAL       = SCROLL_VERTICAL;
-    Scroller.SCROLL_HORIZONTAL     = SCROLL_HORIZONTAL;
-    Scroller.MOUSE_WHEEL_SPEED     = MOUSE_WHEEL_SPEED;
-    Scroller.MOUSE_WHEEL_INVERTED  = MOUSE_WHEEL_INVERTED;
-    Scroller.plugins               = PLUGINS;
+        /**
+        * Specifies the duration in ms of the animation of every wheel event (with `wheelMode: 'smooth'`).
+        *
+        * @property WHEEL_SMOOTH_TIME
+        * @type {integer}
+        * @static
+        * @default "150"
+        */
+        WHEEL_SMOOTH_TIME     = 150,
 
-    Scroller.prototype = {
         /**
-        * Called in the constructor.
-        * Initializes the internal state of the instance.
+        * Fraction of the wheel velocity kept every ms (with `wheelMode: 'inertial'`).
+        * Every wheel event ends up moving the scroller as far as its delta, only spread over time.
         *
-        * @method _initializeScroller
-        * @private
+        * @property WHEEL_DECELERATION_RATE
+        * @type {float}
+        * @static
+        * @default "0.99"
         */
-        _initializeScroller: function () {
-            this._events = {};
-            this.x       = 0;
-            this.y       = 0;
-        },
+        WHEEL_DECELERATION_RATE = 0.99,
+
         /**
-        * Called in the constructor.
-        * Fires an event to nofify plugins 
-        * that they can initialize themselves.
+        * Ratio applied to the scale for every pixel of wheel delta when zooming with ctrl+wheel.
         *
-        * @method _initialize
-        * @private
+        * @property ZOOM_WHEEL_RATIO
+        * @type {float}
+        * @static
+        * @default "1.002"
         */
-        _initialize: function () {
-            this._fire('_initialize');
-        },
+        ZOOM_WHEEL_RATIO      = 1.002,
+
         /**
-        * Initializes the plugins provided in the configuration object.
-        * By default the scroller tries to initialize core plugins, such as
-        * `SurfaceManager,` `PullToRefresh,` and `PullToLoadMore`.
+        * Specifies how many px the arrow keys scroll.
         *
-        * @method _initializePlugins
-        * @param cfg {Object} Scroller configuration object
-        * @private
+        * @property KEY_SCROLL_STEP
+        * @type {integer}
+        * @static
+        * @default "40"
         */
-        _initializePlugins: function (cfg) {
-            var userPlugins    = this.opts.plugins,
-                SurfaceManager = PLUGINS.SurfaceManager,
-                PullToRefresh  = PLUGINS.PullToRefresh,
-                PullToLoadMore = PLUGINS.PullToLoadMore,
-                enableSM       = !this.opts.useCSSTransition && this.opts.gpuOptimization,
-                enablePTR      = this.opts.onPullToRefresh,
-                enablePTL      = this.opts.onPullToLoadMore;
-            
-            if (enablePTR && PullToRefresh)  {
-                this.plug(PullToRefresh);
-            }
-            if (enablePTL && PullToLoadMore) {
-                this.plug(PullToLoadMore);
-            }
-            if (enableSM  && SurfaceManager) {
-                this.plug(SurfaceManager);
-            }
+        KEY_SCROLL_STEP       = 40,
 
-            if (userPlugins) {
-                userPlugins.forEach(function (plugin) {
-                    this.plug(plugin);
-                }, this);
-            }
-        },
         /**
-        * Helper method to merge two object configurations.
-        * Relies on the `Helpers` utility module.
+        * Specifies the duration in ms of the scroll triggered by the keyboard.
         *
-        * @method _initializePlugins
-        * @param cfg {Object} Configuration base
-        * @param toMerge {Object} Configuration to merge
-        * @return {Object} An object that merges both configuration properties.
-        * @private
+        * @property KEY_SCROLL_TIME
+        * @type {integer}
+        * @static
+        * @default "200"
         */
-        _mergeConfigOptions: function (cfg, toMerge) {
-            return HELPERS.simpleMerge(cfg, toMerge);
-        },
+        KEY_SCROLL_TIME       = 200,
+
         /**
-        * Merges the default configuration with the configuraton provided by the 
-        * user and attaches the options to the instances.
-        * Also copies some options directly to the instance for easy access to them.
+        * Specifies how many ms of the most recent gesture samples are used to calculate the velocity
+        * (with `velocityStrategy: 'leastSquares'`).
         *
-        * @method _setConfig
-        * @param cfg {Object} Configuration base
-        * @private
+        * @property VELOCITY_SAMPLE_WINDOW
+        * @type {integer}
+        * @static
+        * @default "100"
         */
-        _setConfig: function (cfg) {
-            var opts = this.opts = this._mergeConfigOptions(DEFAULTS, cfg);
+        VELOCITY_SAMPLE_WINDOW = 100,
 
-            this.enabled               = opts.enabled;
-            this.scroll                = opts.scroll;
-            this.itemHeight            = opts.itemHeight;
-            this.itemWidth             = opts.itemWidth;
+        /**
+        * Specifies how many ms without `scroll` events mean that a native scroll is over
+        * (with `mode: 'native'`).
+        *
+        * @property NATIVE_SCROLL_END_DELAY
+        * @type {integer}
+        * @static
+        * @default "100"
+        */
+        NATIVE_SCROLL_END_DELAY = 100,
 
-            this.acceleration          = opts.acceleration || ACCELERATION_CONSTANT;
-            this.scrollVertical        = this.scroll === SCROLL_VERTICAL;
-            
-            // Guard for missconfigurations
+        /**
+        * Specifies how many px a pointer can move and still be a tap.
+        * Clicks after longer gestures are suppressed.
+        *
+        * @property TAP_THRESHOLD
+        * @type {integer}
+        * @static
+        * @default "10"
+        */
+        TAP_THRESHOLD = 10,
 
-            if (opts.infiniteLoading && opts.pullToLoadMore) {
-                w.DEBUG.warn(
-                    'You cannot have infiniteLoading and pullToShowMore at the same time.' +
+        /**
+        * Specifies for how many ms after a drag (or a synthesized tap) the clicks
+        * fired by the browser are suppressed.
+        *
+        * @property GHOST_CLICK_TIME
+        * @type {integer}
+        * @static
+        * @final
+        * @private
+        */
+        GHOST_CLICK_TIME = 400,
+
+        /**
+        * Specifies how close to the edges of the wrapper (in px) a mouse selecting text
+        * starts scrolling the content. Beyond that, the further the faster.
+        *
+        * @property AUTO_SCROLL_EDGE
+        * @type {integer}
+        * @static
+        * @default "20"
+        */
+        AUTO_SCROLL_EDGE = 20,
+
+        /**
+        * Specifies the maximum speed (in px per frame) of the scroll while selecting text.
+        *
+        * @property AUTO_SCROLL_MAX_SPEED
+        * @type {integer}
+        * @static
+        * @default "30"
+        */
+        AUTO_SCROLL_MAX_SPEED = 30,
+
+        /**
+        * Physics models that define how the scroller moves. Select one with the `physics` option.
+        *
+        * A model implements (the functions are called with the model as `this`):
+        *
+        *  - `momentum(velocity, current)`: The `{destination, time}` of a fling.
+        *  - `overscroll(delta, overshoot, size)`: The px to move when dragging `delta` px beyond the edges.
+        *    `overshoot` is how far beyond the edge the scroller already is (positive beyond the start).
+        *  - `snapBack(edge, size, velocity, current)`: The `{destination, time}` of a fling that ends
+        *    beyond an edge (the scroller bounces back to the edge afterwards).
+        *
+        * And the properties `minVelocity`, `maxVelocity` (px/ms) and `maxFlingDistance` (px).
+        *
+        * @property PHYSICS
+        * @type {Object}
+        * @static
+        */
+        PHYSICS = {
+            'default' : {
+                acceleration     : ACCELERATION_CONSTANT,
+                minVelocity      : MIN_VELOCITY,
+                maxVelocity      : Infinity,
+                maxFlingDistance : Infinity,
+                momentum: function (velocity, current) {
+                    var time     = Math.abs(velocity) / this.acceleration, // t = v / a
+                        distance = velocity / 2 * time; // ΔX = vt + 1/2 at² = v / 2 * t 
+
+                    return {
+                        destination : current + distance,
+                        time        : time
+                    };
+                },
+                overscroll: function (delta) {
+                    return delta / 3;
+                },
+                snapBack: function (edge, size, velocity, current) {
+                    var destination = edge + (size / 2) * (velocity / 8);
+                    return {
+                        destination : destination,
+                        time        : Math.abs((destination - current) / velocity)
+                    };
+                }
+            },
+
+            // Exponential decay and rubber band (as the iOS UIScrollView)
+            ios : {
+                decelerationRate : 0.998, // Velocity kept every ms
+                rubberBand       : 0.55,
+                minVelocity      : MIN_VELOCITY,
+                maxVelocity      : 8,
+                maxFlingDistance : Infinity,
+                momentum: function (velocity, current) {
+                    var rate = this.decelerationRate;
+
+                    if (!velocity) {
+                        return {destination: current, time: 0};
+                    }
+
+                    // Until the velocity decays under 0.01 px/ms
+                    return {
+                        destination : current + velocity * rate / (1 - rate),
+                        time        : Math.max(0, Math.log(0.01 / Math.abs(velocity)) / Math.log(rate))
+                    };
+                },
+                overscroll: function (delta, overshoot, size) {
+                    // Derivative of the rubber band function: (x * size * c) / (size + c * x)
+                    var c = this.rubberBand,
+                        d = size + c * Math.abs(overshoot);
+                    return delta * c * size * size / (d * d);
+                },
+                snapBack: function (edge, size, velocity, current) {
+                    var limit       = size / 4,
+                        destination = edge + Math.max(-limit, Math.min(limit, velocity * 40));
+                    return {
+                        destination : destination,
+                        time        : Math.abs((destination - current) / velocity)
+                    };
+                }
+            },
+
+            // Spline based fling and a short overscroll (as the Android OverScroller)
+            android : {
+                inflexion        : 0.35,
+                friction         : 0.015,
+                physicalCoeff    : 51890, // gravity (in/s²) * 160dpi * 0.84
+                decelerationRate : 2.358, // ln(0.78) / ln(0.9)
+                minVelocity      : MIN_VELOCITY,
+                maxVelocity      : 8,
+                maxFlingDistance : Infinity,
+                momentum: function (velocity, current) {
+                    var decel = this.decelerationRate,
+                        coeff = this.friction * this.physicalCoeff,
+                        l, distance;
+
+                    if (!velocity) {
+                        return {destination: current, time: 0};
+                    }
+
+                    l        = Math.log(this.inflexion * Math.abs(velocity) * 1000 / coeff); // velocity in px/s
+                    distance = coeff * Math.exp(decel / (decel - 1) * l);
+
+                    return {
+                        destination : current + (velocity < 0 ? -distance : distance),
+                        time        : 1000 * Math.exp(l / (decel - 1))
+                    };
+                },
+                overscroll: function (delta, overshoot, size) {
+                    // Stretches up to a fourth of the wrapper, going back is not slowed down as much
+                    var limit = size / 4;
+                    if (delta * overshoot < 0) {
+                        return delta / 2;
+                    }
+                    return delta / 2 * Math.max(0, 1 - Math.abs(overshoot) / limit);
+                },
+                snapBack: function (edge, size, velocity, current) {
+                    var limit       = size / 8,
+                        destination = edge + Math.max(-limit, Math.min(limit, velocity * 15));
+                    return {
+                        destination : destination,
+                        time        : Math.abs((destination - current) / velocity)
+                    };
+                }
+            }
+        };
+
+    /**
+    * Event object passed to the listeners of the public scroller events
+    * (`beforeScrollStart`, `scrollStart`, `scrollMove`, `scrollEnd`, `lock` and `destroy`).
+    * It is provided as the last argument, after the positional arguments of each event,
+    * so existing listeners keep working.
+    *
+    * Some events can be canceled by calling `preventDefault()`:
+    *
+    *  - `beforeScrollStart`: aborts the gesture.
+    *  - `scrollStart`: aborts the gesture before the scroller moves.
+    *  - `lock`: keeps the scroller active for the rest of the gesture.
+    *
+    * @class ScrollEvent
+    * @param scroller {Scroller} The scroller instance firing the event
+    * @param type {string} Name of the event
+    * @param [action] {string} Action that originated the event (gestureStart, gestureMove, animationEnd...)
+    * @param [originalEvent] {event} The DOM event that originated the event, if any
+    * @param [cancelable] {boolean} Whether the event can be canceled
+    * @constructor
+    */
+    function ScrollEvent (scroller, type, action, originalEvent, cancelable) {
+        this.type             = type;
+        this.action           = action;
+        this.x                = scroller.x;
+        this.y                = scroller.y;
+        this.velocity         = scroller.velocity || 0;
+        this.velocityX        = scroller.velocityX || 0;
+        this.velocityY        = scroller.velocityY || 0;
+        this.direction        = scroller.scrollDirection || null;
+        this.timestamp        = NOW();
+        this.originalEvent    = originalEvent || null;
+        this.cancelable       = !!cancelable;
+        this.defaultPrevented = false;
+    }
+
+    /**
+    * Cancels the default action of the scroller for this event (only if the event is `cancelable`).
+    *
+    * @method preventDefault
+    * @public
+    */
+    ScrollEvent.prototype.preventDefault = function () {
+        if (this.cancelable) {
+            this.defaultPrevented = true;
+        }
+    };
+
+    /**
+    * Options of the plugins registered with `Scroller.registerPlugin`, by name.
+    *
+    * @property PLUGIN_OPTIONS
+    * @private
+    */
+    var PLUGIN_OPTIONS = {
+            // The pull to refresh/load more elements have to be there before the items are bootstrapped
+            SurfaceManager : pluginOptions({after: ['PullToRefresh', 'PullToLoadMore']}),
+            // Endless works without the SurfaceManager, but it has to wrap its methods when both are used
+            Endless        : pluginOptions({after: ['SurfaceManager']}),
+            // Snap takes care of the momentum of endless scrollers too
+            Snap           : pluginOptions({after: ['Endless']}),
+            ZoomFX         : pluginOptions({requires: ['SurfaceManager']}),
+            // Indicators hook into the SurfaceManager (if used) to track the virtual size
+            Indicators     : pluginOptions({after: ['SurfaceManager']})
+        },
+        NO_PLUGIN_OPTIONS = pluginOptions();
+
+    /**
+    * Normalizes the `{requires, conflicts, after}` options of a plugin.
+    *
+    * @params [options] {Object} Options provided to `registerPlugin`
+    * @return {Object} The options with all the lists
+    * @private
+    */
+    function pluginOptions(options) {
+        options || (options = {});
+
+        return {
+            requires  : options.requires  || [],
+            conflicts : options.conflicts || [],
+            after     : options.after     || []
+        };
+    }
+
+    /**
+    * Registers a plugin so it can be used by name (in the `plugins` option or with `plug`),
+    * declaring how it relates to other plugins:
+    *
+    *  - `requires`: Plugins that must be plugged too (they are plugged first, `plug` throws if they are missing).
+    *  - `conflicts`: Plugins that can not be used at the same time.
+    *  - `after`: Plugins that, if used, are plugged first (so this one can override their methods).
+    *
+    * @params name {string} Name of the plugin
+    * @params Plugin {Function|Object} The plugin
+    * @params [options] {Object} `{requires, conflicts, after}` lists of plugin names
+    * @method registerPlugin
+    * @return {Function|Object} The plugin
+    * @static
+    *
+    * @example
+        Scroller.registerPlugin('Carousel', Carousel, {requires: ['Snap'], conflicts: ['Endless']});
+    */
+    function registerPlugin(name, Plugin, options) {
+        PLUGINS[name]        = Plugin;
+        PLUGIN_OPTIONS[name] = pluginOptions(options);
+
+        return Plugin;
+    }
+
+    /**
+    * Returns the name a plugin is registered with.
+    *
+    * @params Plugin {Function|Object} The plugin
+    * @return {string} The name or null for plugins that are not registered
+    * @private
+    */
+    function getPluginName(Plugin) {
+        for (var name in PLUGINS) {
+            if (PLUGINS.hasOwnProperty(name) && PLUGINS[name] === Plugin) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+    * Calls a method wrapped by `_hook` with its hooks, from the last one added to the first one.
+    * Each `after` hook receives the value returned by the inner hooks and the method.
+    *
+    * @params hooked {function} The wrapper created by `_hook`
+    * @params context {Scroller} The scroller instance
+    * @params index {integer} Index of the hook to call
+    * @params args {Arguments} Arguments of the method
+    * @private
+    */
+    function callHooked(hooked, context, index, args) {
+        var hook = hooked._hooks[index];
+
+        if (!hook) {
+            return hooked._method.apply(context, args);
+        }
+
+        if (hook.when === HOOK_AFTER) {
+            return hook.fn.call(context, callHooked(hooked, context, index - 1, args));
+        }
+
+        hook.fn.apply(context, args);
+        callHooked(hooked, context, index - 1, args);
+    }
+
+    /**
+    * Scroller class that provides the core logic for scrolling.
+    *
+    * @class Scroller
+    * @param el {HTMLElement} DOM element to attach the Scroller.
+    * @param config {Object} Object literal with initial attribute values.
+    * @constructor
+    */
+    function Scroller (el, config) {
+        config || (config = {});
+        
+        this._initializeScroller();
+        this._setConfig(config);
+        this._setElement(el);
+        this._setSize();
+        this._initializePlugins(config);
+        this._initialize();
+
+        this._handleEvents('bind');
+    }
+
+    // Attach and expose Statics into the Scroller Class
+    Scroller.DEFAULTS              = DEFAULTS;
+    Scroller.CubicBezier           = CubicBezier;
+    Scroller.EASING_REGULAR        = EASING_REGULAR;
+    Scroller.EASING_BOUNCE         = EASING_BOUNCE;
+    Scroller.EASING                = EASING;
+    Scroller.MIN_VELOCITY          = MIN_VELOCITY;
+    Scroller.ACCELERATION_CONSTANT = ACCELERATION_CONSTANT;
+    Scroller.SCROLL_VERTICAL       = SCROLL_VERTICAL;
+    Scroller.SCROLL_HORIZONTAL     = SCROLL_HORIZONTAL;
+    Scroller.SCROLL_BOTH           = SCROLL_BOTH;
+    Scroller.OVERSCROLL_CONTAIN    = OVERSCROLL_CONTAIN;
+    Scroller.OVERSCROLL_CHAIN      = OVERSCROLL_CHAIN;
+    Scroller.OVERSCROLL_NONE       = OVERSCROLL_NONE;
+    Scroller.MODE_SYNTHETIC        = MODE_SYNTHETIC;
+    Scroller.MODE_NATIVE           = MODE_NATIVE;
+    Scroller.MOUSE_WHEEL_SPEED     = MOUSE_WHEEL_SPEED;
+    Scroller.MOUSE_WHEEL_INVERTED  = MOUSE_WHEEL_INVERTED;
+    Scroller.WHEEL_MODE_INSTANT    = WHEEL_MODE_INSTANT;
+    Scroller.WHEEL_MODE_SMOOTH     = WHEEL_MODE_SMOOTH;
+    Scroller.WHEEL_MODE_INERTIAL   = WHEEL_MODE_INERTIAL;
+    Scroller.WHEEL_AXIS_AUTO       = WHEEL_AXIS_AUTO;
+    Scroller.WHEEL_AXIS_STRICT     = WHEEL_AXIS_STRICT;
+    Scroller.WHEEL_AXIS_SWAP       = WHEEL_AXIS_SWAP;
+    Scroller.MOUSE_DRAG_MODE_DRAG     = MOUSE_DRAG_MODE_DRAG;
+    Scroller.MOUSE_DRAG_MODE_SELECT   = MOUSE_DRAG_MODE_SELECT;
+    Scroller.MOUSE_DRAG_MODE_MODIFIER = MOUSE_DRAG_MODE_MODIFIER;
+    Scroller.WHEEL_LINE_HEIGHT     = WHEEL_LINE_HEIGHT;
+    Scroller.WHEEL_SMOOTH_TIME     = WHEEL_SMOOTH_TIME;
+    Scroller.WHEEL_DECELERATION_RATE = WHEEL_DECELERATION_RATE;
+    Scroller.ZOOM_WHEEL_RATIO      = ZOOM_WHEEL_RATIO;
+    Scroller.KEY_SCROLL_STEP       = KEY_SCROLL_STEP;
+    Scroller.KEY_SCROLL_TIME       = KEY_SCROLL_TIME;
+    Scroller.PHYSICS               = PHYSICS;
+    Scroller.VELOCITY_SAMPLE_WINDOW = VELOCITY_SAMPLE_WINDOW;
+    Scroller.NATIVE_SCROLL_END_DELAY = NATIVE_SCROLL_END_DELAY;
+    Scroller.PREVENT_DEFAULT_EXCEPTION = PREVENT_DEFAULT_EXCEPTION;
+    Scroller.TAP_THRESHOLD         = TAP_THRESHOLD;
+    Scroller.AUTO_SCROLL_EDGE      = AUTO_SCROLL_EDGE;
+    Scroller.AUTO_SCROLL_MAX_SPEED = AUTO_SCROLL_MAX_SPEED;
+    Scroller.plugins               = PLUGINS;
+    Scroller.ScrollEvent           = ScrollEvent;
+    Scroller.Input                 = INPUT;
+    Scroller.registerPlugin        = registerPlugin;
+
+    Scroller.prototype = {
+        /**
+        * Called in the constructor.
+        * Initializes the internal state of the instance.
+        *
+        * @method _initializeScroller
+        * @private
+        */
+        _initializeScroller: function () {
+            this._events = {};
+            this.x       = 0;
+            this.y       = 0;
+            this.scale   = 1;
+
+            this.pointerCount = 0;
+            this._pointers    = {};
+            this._plugins     = [];
+
+            this._chainVelocity = {x: 0, y: 0};
+        },
+        /**
+        * Called in the constructor.
+        * Fires an event to nofify plugins 
+        * that they can initialize themselves.
+        *
+        * @method _initialize
+        * @private
+        */
+        _initialize: function () {
+            this._fire('_initialize');
+            this._initialized = true;
+
+            // The elements added by the plugins are part of the native scrolling area
+            if (this.nativeScroll) {
+                this._setSize();
+                this._translate(this.x, this.y);
+            }
+        },
+        /**
+        * Initializes the plugins provided in the configuration object.
+        * By default the scroller tries to initialize core plugins, such as
+        * `SurfaceManager,` `PullToRefresh,` and `PullToLoadMore`.
+        *
+        * @method _initializePlugins
+        * @param cfg {Object} Scroller configuration object
+        * @private
+        */
+        _initializePlugins: function (cfg) {
+            var userPlugins    = this.opts.plugins,
+                SurfaceManager = PLUGINS.SurfaceManager,
+                PullToRefresh  = PLUGINS.PullToRefresh,
+                PullToLoadMore = PLUGINS.PullToLoadMore,
+                enableSM       = this._needsSurfaceManager(this.opts),
+                enablePTR      = this.opts.onPullToRefresh,
+                enablePTL      = this.opts.onPullToLoadMore,
+                plugins        = [];
+            
+            if (enablePTR && PullToRefresh)  {
+                plugins.push(PullToRefresh);
+            }
+            if (enablePTL && PullToLoadMore) {
+                plugins.push(PullToLoadMore);
+            }
+            if (enableSM  && SurfaceManager) {
+                plugins.push(SurfaceManager);
+            }
+
+            this._sortPlugins(plugins.concat(userPlugins || [])).forEach(function (plugin) {
+                this.plug(plugin);
+            }, this);
+        },
+        /**
+        * Resolves the order to plug a list of plugins: the plugins they require or
+        * that they have to come `after` (see `Scroller.registerPlugin`) are plugged first.
+        * Otherwise the order of the list is kept. Duplicated plugins are removed.
+        *
+        * @param plugins {Array} Plugins or plugin names
+        * @method _sortPlugins
+        * @return {Array} The plugins in the order to plug them
+        * @private
+        */
+        _sortPlugins: function (plugins) {
+            var pending = [],
+                sorted  = [],
+                pendingNames, i;
+
+            plugins.forEach(function (plugin) {
+                var Plugin = this._resolvePlugin(plugin);
+                if (pending.indexOf(Plugin) === -1) {
+                    pending.push(Plugin);
+                }
+            }, this);
+
+            function isReady(Plugin) {
+                var options = PLUGIN_OPTIONS[getPluginName(Plugin)] || NO_PLUGIN_OPTIONS;
+
+                return options.requires.concat(options.after).every(function (name) {
+                    return pendingNames.indexOf(name) === -1;
+                });
+            }
+
+            while (pending.length) {
+                pendingNames = pending.map(getPluginName);
+
+                for (i = 0; i < pending.length; i++) {
+                    if (isReady(pending[i])) {
+                        break;
+                    }
+                }
+
+                if (i === pending.length) {
+                    throw new Error('[Scroller] Circular dependency between the plugins: ' + pendingNames.join(', '));
+                }
+
+                sorted.push(pending.splice(i, 1)[0]);
+            }
+
+            return sorted;
+        },
+        /**
+        * Gets a plugin from its name in `Scroller.plugins`.
+        *
+        * @param plugin {string|Function|Object} The plugin or its name
+        * @method _resolvePlugin
+        * @return {Function|Object} The plugin
+        * @private
+        */
+        _resolvePlugin: function (plugin) {
+            var Plugin = typeof plugin === 'string' ? PLUGINS[plugin] : plugin;
+
+            if (!Plugin) {
+                throw new Error('[Scroller] Unknown plugin: ' + plugin);
+            }
+
+            return Plugin;
+        },
+        /**
+        * Checks that a plugin can be plugged along with the plugins that are already plugged.
+        * Throws an error if a plugin it requires is missing or if it conflicts with one of them.
+        *
+        * @param name {string} Name of the plugin
+        * @method _checkPluginDependencies
+        * @private
+        */
+        _checkPluginDependencies: function (name) {
+            var options = PLUGIN_OPTIONS[name] || NO_PLUGIN_OPTIONS;
+
+            options.requires.forEach(function (required) {
+                if (!this._hasPlugin(required)) {
+                    throw new Error('[Scroller] The plugin ' + name + ' requires the plugin ' + required);
+                }
+            }, this);
+
+            this._plugins.forEach(function (record) {
+                var other = PLUGIN_OPTIONS[record.name] || NO_PLUGIN_OPTIONS;
+
+                if (options.conflicts.indexOf(record.name) !== -1 || (name && other.conflicts.indexOf(name) !== -1)) {
+                    throw new Error('[Scroller] The plugins ' + record.name + ' and ' + name + ' can not be used together');
+                }
+            });
+        },
+        /**
+        * Warns about the methods of a plugin that replace the ones of another plugin,
+        * unless the plugin is meant to come after it (`requires` or `after`).
+        *
+        * @param name {string} Name of the plugin
+        * @param proto {Object} Methods of the plugin
+        * @method _checkPluginCollisions
+        * @private
+        */
+        _checkPluginCollisions: function (name, proto) {
+            var options = PLUGIN_OPTIONS[name] || NO_PLUGIN_OPTIONS,
+                ordered = options.requires.concat(options.after);
+
+            this._plugins.forEach(function (record) {
+                var collisions = [],
+                    methodName;
+
+                if (record.name && ordered.indexOf(record.name) !== -1) {
+                    return;
+                }
+
+                for (methodName in record.methods) {
+                    if (proto.hasOwnProperty(methodName)) {
+                        collisions.push(methodName);
+                    }
+                }
+
+                if (collisions.length) {
+                    w.DEBUG.warn(
+                        'The plugins ' + (record.name || 'anonymous') + ' and ' + (name || 'anonymous') +
+                        ' both define: ' + collisions.join(', ') + '. Using the ones of ' + (name || 'anonymous'));
+                }
+            });
+        },
+        /**
+        * Checks if a configuration uses the `SurfaceManager` plugin.
+        *
+        * @param opts {Object} Scroller configuration object
+        * @method _needsSurfaceManager
+        * @return {boolean}
+        * @private
+        */
+        _needsSurfaceManager: function (opts) {
+            return !opts.useCSSTransition && !!opts.gpuOptimization && opts.scroll !== SCROLL_BOTH;
+        },
+        /**
+        * Resolves the physics model from the `physics` option: the name of a preset in `Scroller.PHYSICS`,
+        * or an object that overrides any of the functions or properties of a preset
+        * (the one named in its `preset` property, or `default`).
+        *
+        * @params physics {string|Object} The `physics` option
+        * @method _getPhysics
+        * @return {Object} The physics model for this instance
+        * @private
+        */
+        _getPhysics: function (physics) {
+            var custom = typeof physics === 'object' ? physics : null,
+                name   = custom ? custom.preset : physics,
+                preset = PHYSICS[name || 'default'],
+                model;
+
+            if (!preset) {
+                w.DEBUG.warn('Unknown physics preset: ' + name + '. Switching to default');
+                preset = PHYSICS['default'];
+            }
+
+            model = HELPERS.simpleMerge(preset, custom);
+
+            // Backwards compatibility with the `acceleration` option
+            model.acceleration = this.opts.acceleration || model.acceleration || ACCELERATION_CONSTANT;
+
+            return model;
+        },
+        /**
+        * Helper method to merge two object configurations.
+        * Relies on the `Helpers` utility module.
+        *
+        * @method _initializePlugins
+        * @param cfg {Object} Configuration base
+        * @param toMerge {Object} Configuration to merge
+        * @return {Object} An object that merges both configuration properties.
+        * @private
+        */
+        _mergeConfigOptions: function (cfg, toMerge) {
+            return HELPERS.simpleMerge(cfg, toMerge);
+        },
+        /**
+        * Merges the default configuration with the configuraton provided by the 
+        * user and attaches the options to the instances.
+        * Also copies some options directly to the instance for easy access to them.
+        *
+        * @method _setConfig
+        * @param cfg {Object} Configuration base
+        * @private
+        */
+        _setConfig: function (cfg) {
+            var opts = this.opts = this._mergeConfigOptions(DEFAULTS, cfg);
+
+            this.enabled               = opts.enabled;
+            this.scroll                = opts.scroll;
+            this.itemHeight            = opts.itemHeight;
+            this.itemWidth             = opts.itemWidth;
+
+            this.physics               = this._getPhysics(opts.physics);
+            this.acceleration          = this.physics.acceleration;
+            this.scrollVertical        = this.scroll === SCROLL_VERTICAL;
+            this.scrollBoth            = this.scroll === SCROLL_BOTH;
+            this.nativeScroll          = opts.mode === MODE_NATIVE;
+
+            // The statics are the defaults of the wheel options
+            if (opts.wheelSpeed === null) {
+                this.opts.wheelSpeed = Scroller.MOUSE_WHEEL_SPEED;
+            }
+            if (opts.wheelInverted === null) {
+                this.opts.wheelInverted = Scroller.MOUSE_WHEEL_INVERTED;
+            }
+            
+            // Guard for missconfigurations
+
+            if (this.nativeScroll && (opts.useCSSTransition || opts.gpuOptimization || opts.zoom)) {
+                w.DEBUG.warn(
+                    'The attributes: useCSSTransition, gpuOptimization or zoom are not available in native mode.' +
+                    ' Switching them to false');
+
+                this.opts.useCSSTransition = false;
+                this.opts.gpuOptimization  = false;
+                this.opts.zoom             = false;
+            }
+
+            if (opts.infiniteLoading && opts.pullToLoadMore) {
+                w.DEBUG.warn(
+                    'You cannot have infiniteLoading and pullToShowMore at the same time.' +
                     'Switching to infiniteLoading');
                 this.opts.pullToLoadMore = false;
             }
 
-            if (!this.scrollVertical && (opts.pullToRefresh || opts.pullToLoadMore)) {
-                w.DEBUG.warn(
-                    'The attributes: pullToRefresh or pullToShowMore are not available in horizontal mode yet.'+
-                    ' Switching them to false');
+            if (!this.scrollVertical && (opts.pullToRefresh || opts.pullToLoadMore)) {
+                w.DEBUG.warn(
+                    'The attributes: pullToRefresh or pullToShowMore are not available in horizontal mode yet.'+
+                    ' Switching them to false');
+
+                this.opts.pullToRefresh  = false;
+                this.opts.pullToLoadMore = false;
+            }
+
+            if (this.scrollBoth && opts.gpuOptimization) {
+                w.DEBUG.warn(
+                    'The attribute gpuOptimization is not available when scrolling on both directions.' +
+                    ' Switching it to false');
+
+                this.opts.gpuOptimization = false;
+            }
+
+            if (opts.zoom && opts.gpuOptimization && !opts.useCSSTransition) {
+                w.DEBUG.warn(
+                    'The attribute zoom is not available with gpuOptimization yet.' +
+                    ' Switching it to false');
+
+                this.opts.zoom = false;
+            }
+
+            if (opts.overscrollBehavior !== OVERSCROLL_CONTAIN && (opts.pullToRefresh || opts.pullToLoadMore)) {
+                w.DEBUG.warn(
+                    'The attributes: pullToRefresh or pullToShowMore need to overscroll.' +
+                    ' Switching overscrollBehavior to contain');
+
+                this.opts.overscrollBehavior = OVERSCROLL_CONTAIN;
+            }
+        },
+        /**
+        * Finds the DOM element where the scroller will be hosted. 
+        * The provided element will be the `scroller-wrapper` 
+        * and the first child is the one that performs the scroll.
+        * This method also sets the proper class to the wrapper, depending 
+        * on `scrollDirection` set in the configuration.
+        *
+        * @method _setElement
+        * @param el {string|HTMLElement} Element to which the scroller is attached
+        * @private
+        */
+        _setElement: function (el) {
+            this.wrapper       = typeof el === 'string' ? w.document.querySelector(el) : el;
+            this.scroller      = this.wrapper.children[0];
+            this.scrollerStyle = this.scroller.style;
+
+            this.wrapper[INSTANCE_KEY] = this;
+
+            this.scroller.classList.add('scroller');
+            this._setElementOptions();
+        },
+        /**
+        * Applies the configuration that depends on the DOM elements:
+        * the scroll direction classes, right-to-left layout, text selection, zoom origin, keyboard focus and native scrolling.
+        * Called again from `setOptions` when the options change.
+        *
+        * @method _setElementOptions
+        * @private
+        */
+        _setElementOptions: function () {
+            var focusable;
+
+            this.scroller.classList.add('scroll-' + this.scroll);
+
+            // In right-to-left documents horizontal content starts at the right edge.
+            // We keep the logical coordinates (0 is always the start) and mirror them on the DOM.
+            this.rtl = !this.scrollVertical && (this.opts.rtl !== null ? !!this.opts.rtl : this._isWrapperRTL());
+
+            if (this.rtl) {
+                this.scroller.classList.add('scroll-rtl');
+
+                if (this.opts.zoom) {
+                    w.DEBUG.warn(
+                        'The attribute zoom is not available in right-to-left scrollers yet.' +
+                        ' Switching it to false');
+
+                    this.opts.zoom = false;
+                }
+            }
+
+            // The text can be selected with the mouse unless it drags the scroller
+            if (this.opts.mouseDragMode !== MOUSE_DRAG_MODE_DRAG) {
+                this.scroller.classList.add('scroll-select');
+            }
+
+            // The zoom math assumes the content scales from its top-left corner
+            this.scrollerStyle[STYLES.transformOrigin] = this.opts.zoom ? '0 0' : '';
+
+            // The wrapper needs to be focusable to receive keyboard events
+            // (in native mode the browser scrolls the focused scroller element instead)
+            focusable = this.nativeScroll ? this.scroller : this.wrapper;
+            if (!this.opts.keyboard || this._tabindexElement !== focusable) {
+                this._removeTabindex();
+            }
+            if (this.opts.keyboard && focusable.getAttribute('tabindex') === null) {
+                focusable.setAttribute('tabindex', '0');
+                this._tabindexElement = focusable;
+            }
+
+            this._setNativeScroll();
+            this._setTouchAction();
+        },
+        /**
+        * Removes the `tabindex` the scroller added to make an element focusable
+        * (a `tabindex` set on the markup is left untouched).
+        *
+        * @method _removeTabindex
+        * @private
+        */
+        _removeTabindex: function () {
+            if (this._tabindexElement) {
+                this._tabindexElement.removeAttribute('tabindex');
+                this._tabindexElement = null;
+            }
+        },
+        /**
+        * Sets the `touch-action` of the wrapper, so the browser only pans the page along the axis
+        * the scroller leaves free (and keeps the pinch-zoom of the page when `zoom` is off).
+        * Zoomable scrollers pan the zoomed content on both axes, so the browser does not pan anything.
+        * In native mode the browser handles the gestures, so it is left to the stylesheets.
+        *
+        * @method _setTouchAction
+        * @private
+        */
+        _setTouchAction: function () {
+            var style = this.wrapper.style,
+                action;
+
+            if (!SUPPORT.touchAction || this.nativeScroll) {
+                if (SUPPORT.touchAction) {
+                    style.touchAction = '';
+                }
+                return;
+            }
+
+            action = this.scrollBoth || this.opts.zoom ? 'none' : this.scrollVertical ? 'pan-x' : 'pan-y';
+
+            if (!this.opts.zoom && action !== 'none') {
+                // Not every browser understands `pinch-zoom`: the invalid value is ignored
+                style.touchAction = action + ' pinch-zoom';
+            }
+
+            if (style.touchAction.indexOf(action) !== 0) {
+                style.touchAction = action;
+            }
+        },
+        /**
+        * Turns the scroller element into the native scrolling area (`mode: 'native'`):
+        * the browser scrolls the content inside it on the configured axes.
+        * Otherwise it removes the native scrolling styles, so the mode can be switched with `setOptions`.
+        *
+        * @method _setNativeScroll
+        * @private
+        */
+        _setNativeScroll: function () {
+            var style = this.scrollerStyle;
+
+            if (this.nativeScroll) {
+                this.scroller.classList.add('scroll-native');
+                style[STYLES.transform]  = '';
+                style.overflowX          = this.scrollVertical ? 'hidden' : 'auto';
+                style.overflowY          = this.scrollVertical || this.scrollBoth ? 'auto' : 'hidden';
+                style.overscrollBehavior = NATIVE_OVERSCROLL[this.opts.overscrollBehavior] || '';
+                this._nativeStyles       = true;
+            } else {
+                this._removeNativeStyles();
+            }
+        },
+        /**
+        * Removes the native scrolling styles (and the native scroll offset) from the scroller element, if it has them.
+        *
+        * @method _removeNativeStyles
+        * @private
+        */
+        _removeNativeStyles: function () {
+            var style = this.scrollerStyle;
+
+            if (this._nativeStyles) {
+                this.scroller.classList.remove('scroll-native');
+                style.overflowX = style.overflowY = style.overscrollBehavior = style.paddingBottom = '';
+                this.scroller.scrollTop = this.scroller.scrollLeft = 0;
+                this._nativeStyles = false;
+            }
+        },
+        /**
+        * Queries the wrapper element to get the updated size, in width and height.
+        * The element must be in the DOM to get the right measurement.
+        * The scroller won't work correctly if this attribute is set incorrectly.
+        *
+        * @method _setWrapperSize
+        * @private
+        */
+        _setWrapperSize: function () {
+            // In native mode the visible area is the scroller element (without its scrollbars)
+            var viewport = this.nativeScroll ? this.scroller : this.wrapper;
+
+            this.wrapperWidth  = viewport.clientWidth;
+            this.wrapperHeight = viewport.clientHeight;
+            this.wrapperSize   = this.scrollVertical ? this.wrapperHeight : this.wrapperWidth;
+        },
+        /**
+        * Sets the overall sizes of the scroller.
+        * Calculates the actual scrollable area and sets the proper internal state.
+        * Note that this has a small dependency on the `PullToLoadMore` plugin.
+        *
+        * @method _setWrapperSize
+        * @private
+        */
+        _setSize: function () {
+            var scrollerDOM = this.scroller,
+                // We need to take into account if the `PullToLoadMore` plugin is active
+                // and in that case substract the height from the scrollable area size
+                ptl         = this.opts.pullToLoadMore,
+                ptl_offset  = this._ptlThreshold || 0;
+
+            this._setWrapperSize();
+            this._sizePullToShowMore();
+
+            // Once all the sizes are accurate, performn the scroll size calculations
+            if (this.nativeScroll) {
+                this._setNativeScrollSize();
+            } else {
+                this.scrollerWidth  = scrollerDOM.offsetWidth;
+                this.scrollerHeight = scrollerDOM.offsetHeight;
+            }
+
+            if (ptl) {
+                this.scrollerHeight -= ptl_offset;
+            }
+
+            this._setMaxScroll();
+        },
+        /**
+        * Checks the computed `direction` of the wrapper.
+        * Note that `getComputedStyle` returns null in some browsers (ex. within hidden iframes).
+        *
+        * @method _isWrapperRTL
+        * @return {boolean} Whether the wrapper is laid out right-to-left
+        * @private
+        */
+        _isWrapperRTL: function () {
+            var style = w.getComputedStyle(this.wrapper);
+            return !!style && style.direction === 'rtl';
+        },
+        /**
+        * Calculates the scrollable area from the last measured sizes,
+        * taking into account the current zoom `scale`.
+        * It does not touch the DOM, so it can be called on every frame while zooming.
+        *
+        * @method _setMaxScroll
+        * @private
+        */
+        _setMaxScroll: function () {
+            this.maxScrollX     = this.wrapperWidth  - Math.round(this.scrollerWidth * this.scale);
+            this.maxScrollY     = this.wrapperHeight - Math.round(this.scrollerHeight * this.scale);
+
+            this.maxScrollX     = this.maxScrollX > 0 ? 0 : this.maxScrollX;
+            this.maxScrollY     = this.maxScrollY > 0 ? 0 : this.maxScrollY;
+
+            this.hasScrollX     = this.maxScrollX < 0;
+            this.hasScrollY     = this.maxScrollY < 0;
+
+        },
+        /**
+        * To be overriden by the `PullToShowMore` plugin.
+        * Calculates the height of `PullToShowMore` so
+        * it can be taken into account when calculating the total scrollable size.
+        *
+        * @method _setPullToShowMore
+        * @private
+        */
+        _sizePullToShowMore: function () {
+            //To be overriden
+        },
+        /**
+        * Private destroy function that is responsible for the destruction of the
+        * instance itself. 
+        * The plugins destroy themselves, as triggered by the public
+        * `destroy` method.
+        *
+        * @method _destroy
+        * @private
+        */
+        _destroy: function () {
+            this._handleEvents('unbind');
+            this._stopAutoScroll();
+            w.clearTimeout(this._nativeScrollEndTimeout);
+
+            if (SUPPORT.touchAction) {
+                this.wrapper.style.touchAction = '';
+            }
+
+            this._removeTabindex();
+            this._removeNativeStyles();
+
+            if (this.wrapper[INSTANCE_KEY] === this) {
+                delete this.wrapper[INSTANCE_KEY];
+            }
+        },
+
+    /* 
+    * ==================================================
+    * Event handling and bindings
+    * ================================================== 
+    */
+
+        /**
+        * Add or remove all of the neccesary event listeners, based on the provided configuration.
+        *
+        * @params action {string} Action to bind or unbind events
+        * @method _handleEvents
+        * @private
+        */
+        _handleEvents: function (action) {
+            var eventType = action === 'bind' ? HELPERS.bind : HELPERS.unbind,
+                wrapper   = this.wrapper,
+                target    = this.opts.bindToWrapper ? wrapper : window;
+
+            eventType(window, 'orientationchange', this);
+            eventType(window, 'resize', this);
+
+            if (this.opts.autoRefresh) {
+                this._handleAutoRefresh(action);
+            }
+
+            // Touch, mouse and pointer events come from the input layer as a single stream of pointers
+            if (this._input) {
+                this._input.destroy();
+                this._input = null;
+            }
+
+            // The browser handles the gestures, the wheel and the keyboard
+            if (this.nativeScroll) {
+                this._handleNativeEvents(eventType, action);
+                return;
+            }
+
+            if (action === 'bind') {
+                this._input = new INPUT(wrapper, this, this._getInputOptions(target));
+            }
+
+            // Clicks are captured so the ones that follow a drag never reach the content
+            eventType(wrapper, 'click', this, true);
+
+            if (!this.opts.disableWheel) {
+                eventType(wrapper, 'wheel', this);
+                eventType(wrapper, 'mousewheel', this);
+                eventType(wrapper, 'DOMMouseScroll', this);
+            }
+
+            if (this.opts.keyboard) {
+                eventType(wrapper, 'keydown', this);
+            }
+
+            eventType(this.scroller, 'transitionend', this);
+            eventType(this.scroller, SUPPORT.prefix + 'TransitionEnd', this);
+        },
+
+        /**
+        * Options of the input layer: the pointer types of `inputTypes`
+        * (`disableTouch` and `disableMouse` are kept as shortcuts),
+        * whether to use pointer events (`disablePointers`) and the phases listened as passive.
+        * The start is prevented when it stops the scroll, the moves only to pinch
+        * and the end only to synthesize the clicks (`clickOnTap`).
+        *
+        * @params target {HTMLElement|Window} Where the rest of the gestures are listened
+        * @params [passive] {Object} Passive phases that replace the default ones
+        * @method _getInputOptions
+        * @return {Object} The options for `Scroller.Input`
+        * @private
+        */
+        _getInputOptions: function (target, passive) {
+            var opts  = this.opts,
+                types = HELPERS.simpleMerge(opts.inputTypes);
+
+            if (opts.disableTouch) {
+                types[INPUT.POINTER_TOUCH] = false;
+            }
+            if (opts.disableMouse) {
+                types[INPUT.POINTER_MOUSE] = false;
+            }
+
+            return {
+                target        : target,
+                pointerEvents : !opts.disablePointers,
+                types         : types,
+                passive       : passive || {start: false, move: !opts.zoom, end: !opts.clickOnTap}
+            };
+        },
+
+        /**
+        * Starts or stops watching the sizes of the wrapper and the content (`autoRefresh: true`).
+        *
+        * With `ResizeObserver` the wrapper and every child of the scroller element are observed
+        * (a `MutationObserver` keeps the list of children up to date).
+        * Without it, any DOM change in the content triggers a refresh (`MutationObserver`),
+        * and otherwise only the images or frames that load do.
+        *
+        * @params action {string} Action to bind or unbind events
+        * @method _handleAutoRefresh
+        * @private
+        */
+        _handleAutoRefresh: function (action) {
+            var self     = this,
+                scroller = this.scroller;
+
+            if (action !== 'bind') {
+                this._resizeObserver   && this._resizeObserver.disconnect();
+                this._mutationObserver && this._mutationObserver.disconnect();
+                this._resizeObserver = this._mutationObserver = null;
+                HELPERS.unbind(scroller, 'load', this, true);
+                return;
+            }
+
+            if (SUPPORT.resizeObserver) {
+                this._resizeObserver = new w.ResizeObserver(function (entries) {
+                    self._autoRefresh(entries.map(function (entry) { return entry.target; }));
+                });
+                this._resizeObserver.observe(this.wrapper);
+                Array.prototype.forEach.call(scroller.children, function (child) {
+                    self._resizeObserver.observe(child);
+                });
+            } else {
+                // The load event does not bubble
+                HELPERS.bind(scroller, 'load', this, true);
+            }
+
+            if (SUPPORT.mutationObserver) {
+                this._mutationObserver = new w.MutationObserver(function (mutations) {
+                    self._onContentMutations(mutations);
+                });
+                this._mutationObserver.observe(scroller, this._resizeObserver ? {childList: true} : {
+                    childList     : true,
+                    subtree       : true,
+                    characterData : true,
+                    attributes    : true
+                });
+            }
+        },
+
+        /**
+        * Handles the changes in the content of the scroller when `autoRefresh: true`.
+        * The new children are observed (or a refresh is triggered if there is no `ResizeObserver`).
+        * The transforms applied by the scroller to its own element are ignored.
+        *
+        * @params mutations {MutationRecord[]} The changes provided by the `MutationObserver`
+        * @method _onContentMutations
+        * @private
+        */
+        _onContentMutations: function (mutations) {
+            var observer = this._resizeObserver,
+                scroller = this.scroller,
+                changed  = [];
+
+            mutations.forEach(function (mutation) {
+                if (observer) {
+                    Array.prototype.forEach.call(mutation.addedNodes, function (node) {
+                        node.nodeType === 1 && observer.observe(node);
+                    });
+                    Array.prototype.forEach.call(mutation.removedNodes, function (node) {
+                        node.nodeType === 1 && observer.unobserve(node);
+                    });
+                } else if (mutation.type !== 'attributes' || mutation.target !== scroller) {
+                    changed.push(mutation.target);
+                }
+            });
+
+            if (changed.length) {
+                this._autoRefresh(changed);
+            }
+        },
+
+        /**
+        * Called with the elements that changed their size (or their content) when `autoRefresh: true`.
+        * It goes through `refresh`, which is debounced, so it can be called many times per frame.
+        * The `SurfaceManager` overrides this method to update only the surfaces that changed.
+        *
+        * @params elements {HTMLElement[]} The elements that changed
+        * @method _autoRefresh
+        * @protected
+        */
+        _autoRefresh: function (elements) {
+            this.refresh();
+        },
+
+        /**
+        * Fire a custom event by name.
+        * The callback functions are executed with the scroller instance as context, and with the parameters listed here.
+        * The first argument is the event type and any additional arguments are passed to the listeners as parameters.
+        * This is used to notify the plugins of events that occur on the scroller.
+        *
+        * The dispatch runs over a snapshot of the listeners, so they can safely subscribe or unsubscribe
+        * (themselves or others) while the event is being fired. Listeners removed during the dispatch are skipped.
+        *
+        * @params eventType {string} Type of event to be dispatched
+        * @params arguments {object} An arbitrary set of parameters to pass to the listeners
+        * @method _fire
+        * @private
+        */
+        _fire: function (eventType /*,arguments*/) {
+            var eventQueue = this._events[eventType],
+                eventFncs  = eventQueue && eventQueue.length,
+                params     = Array.prototype.slice.call(arguments, 1),
+                listeners, ePayload, current;
+                
+            if (eventFncs) {
+                listeners = eventQueue.slice(0);
+                for (var i = 0; i < eventFncs; i++) {
+                    ePayload = listeners[i];
+                    if (!ePayload.removed) {
+                        if (ePayload.once) {
+                            current = this._events[eventType];
+                            current.splice(current.indexOf(ePayload), 1);
+                            ePayload.removed = true;
+                        }
+                        ePayload.fn.apply(ePayload.context || this, params);
+                    }
+                }
+            }
+        },
+
+        /**
+        * Fires a public scroller event, creating the `ScrollEvent` object for it.
+        * The listeners receive the positional arguments of each event followed by the `ScrollEvent`:
+        *
+        *  - `beforeScrollStart`, `scrollStart`: (action, domEvent, scrollEvent)
+        *  - `scrollMove`, `scrollEnd`: (action, x, y, domEvent, scrollEvent)
+        *  - `lock`: (direction, scrollEvent)
+        *  - `destroy`: (scrollEvent)
+        *
+        * @params type {string} Type of event to be dispatched
+        * @params [action] {string} Action that originated the event
+        * @params [domEvent] {event} The DOM event that originated the event (input events are unwrapped)
+        * @params [cancelable] {boolean} Whether the listeners can cancel the event
+        * @method _fireScrollEvent
+        * @return {ScrollEvent} The event object after being dispatched
+        * @private
+        */
+        _fireScrollEvent: function (type, action, domEvent, cancelable) {
+            domEvent = domEvent && domEvent.srcEvent || domEvent;
+
+            var scrollEvent = new ScrollEvent(this, type, action, domEvent, cancelable);
+
+            switch (type) {
+                case 'scrollMove':
+                case 'scrollEnd':
+                    this._fire(type, action, scrollEvent.x, scrollEvent.y, domEvent, scrollEvent);
+                    break;
+                case ACTION_LOCK:
+                    this._fire(type, scrollEvent.direction, scrollEvent);
+                    break;
+                case 'destroy':
+                    this._fire(type, scrollEvent);
+                    break;
+                default:
+                    this._fire(type, action, domEvent, scrollEvent);
+            }
+
+            return scrollEvent;
+        },
+
+        /**
+        * Splits an event name into its type and its namespace (`scrollEnd.myView`).
+        *
+        * @params eventType {string} Event name, optionally namespaced
+        * @method _parseEventType
+        * @return {Object} An object with the `type` and the `namespace` of the event
+        * @private
+        */
+        _parseEventType: function (eventType) {
+            var index = eventType.indexOf('.', 1); // private events start with `_` but never with `.`
+
+            return index === -1 ?
+                {type: eventType, namespace: null} :
+                {type: eventType.substring(0, index), namespace: eventType.substring(index + 1)};
+        },
+
+        /**
+        * Adds a listener to the queue of the given event.
+        *
+        * @params eventType {string} Event name, optionally namespaced
+        * @params fn {function} The callback to execute in response to the event
+        * @params [context] {object} Override `this` object in callback
+        * @params [once] {boolean} Remove the listener after its first execution
+        * @method _addListener
+        * @private
+        */
+        _addListener: function (eventType, fn, context, once) {
+            var parsed     = this._parseEventType(eventType),
+                eventQueue = this._events[parsed.type] || (this._events[parsed.type] = []);
+
+            var payload = {
+                fn        : fn,
+                context   : context,
+                namespace : parsed.namespace,
+                once      : !!once
+            };
+
+            eventQueue.push(payload);
+
+            // Keep track of the listeners added by a plugin while it is plugged, to remove them on `unplug`
+            if (this._pluggingRecord) {
+                this._pluggingRecord.listeners.push({type: parsed.type, payload: payload});
+            }
+            return this;
+        },
+
+        /**
+        * Removes the listeners of a given event type that match the function, context and namespace provided.
+        * Any criteria not provided matches all the listeners.
+        * Removed listeners are flagged so an ongoing `_fire` does not execute them.
+        *
+        * @params eventType {string} Type of the event (without namespace)
+        * @params [fn] {function} The callback to remove
+        * @params [context] {object} The context the callback was registered with
+        * @params [namespace] {string} The namespace the callback was registered with
+        * @method _removeListeners
+        * @private
+        */
+        _removeListeners: function (eventType, fn, context, namespace) {
+            var eventQueue = this._events[eventType],
+                remaining  = [],
+                ePayload, i;
+
+            if (!eventQueue) {
+                return;
+            }
+
+            for (i = 0; i < eventQueue.length; i++) {
+                ePayload = eventQueue[i];
+                if ((!fn || ePayload.fn === fn) &&
+                    (!context || ePayload.context === context) &&
+                    (!namespace || ePayload.namespace === namespace)) {
+                    ePayload.removed = true;
+                } else {
+                    remaining.push(ePayload);
+                }
+            }
+
+            if (remaining.length) {
+                this._events[eventType] = remaining;
+            } else {
+                delete this._events[eventType];
+            }
+        },
+
+        /**
+        * Hook mechanism that allows plugins to run functions before or after 
+        * the execution of a particular scroller function.
+        * The method is wrapped once and the hooks are kept in a list,
+        * so they can be removed in any order with `_unhook`.
+        *
+        * @params when {string} When to execute the hooked function (before|after)
+        * @params method {string} Where to perform the hook
+        * @params method {function} Hook function to execute
+        * @method _hook
+        * @private
+        */
+        _hook: function (when, method, hookFn) {
+            var toHookMethod = this[method],
+                hooked;
+            
+            if (!toHookMethod || (when !== HOOK_AFTER && when !== HOOK_BEFORE)) {
+                return;
+            }
+
+            if (this.hasOwnProperty(method) && toHookMethod._hooks) {
+                hooked = toHookMethod;
+            } else {
+                hooked = this[method] = function () {
+                    return callHooked(hooked, this, hooked._hooks.length - 1, arguments);
+                };
+                hooked._method = toHookMethod;
+                hooked._hooks  = [];
+            }
+
+            hooked._hooks.push({when: when, fn: hookFn});
+
+            if (this._pluggingRecord) {
+                this._pluggingRecord.hooks.push({method: method, fn: hookFn});
+            }
+        },
+        /**
+        * Removes a hook added with `_hook`.
+        * The method is unwrapped once it has no hooks left.
+        *
+        * @params method {string} The hooked method
+        * @params hookFn {function} Hook function to remove
+        * @method _unhook
+        * @private
+        */
+        _unhook: function (method, hookFn) {
+            var candidates = [this[method]];
+
+            // The hooked method may have been replaced by a plugin (that keeps it to restore it on `unplug`)
+            this._plugins.forEach(function (record) {
+                candidates.push(record.methods[method]);
+            });
+
+            candidates.forEach(function (hooked) {
+                if (!hooked || !hooked._hooks) {
+                    return;
+                }
+
+                hooked._hooks = hooked._hooks.filter(function (hook) {
+                    return hook.fn !== hookFn;
+                });
+
+                if (!hooked._hooks.length && this[method] === hooked) {
+                    this[method] = hooked._method;
+                }
+            }, this);
+        },
+        /**
+        * Handler to dispatch all of the events that the scroller listens to.
+        * The browser calls this function if any of the events 
+        * registered in _handleEvents are triggered.
+        *
+        * @params e {event} The event provided by the browser
+        * @method handleEvent
+        * @private
+        */
+        handleEvent: function (e) {
+            if (this.nativeScroll) {
+                this._handleNativeEvent(e);
+                return;
+            }
+
+            switch ( e.type ) {
+                case 'orientationchange':
+                case 'resize':
+                    this.resize();
+                    break;
+                case 'transitionend':
+                case SUPPORT.prefix + 'TransitionEnd':
+                    this._transitionEnd(e);
+                    break;
+                case 'wheel':
+                case 'DOMMouseScroll':
+                case 'mousewheel':
+                    this._wheel(e);
+                    break;
+                case 'keydown':
+                    this._key(e);
+                    break;
+                case 'click':
+                    this._click(e);
+                    break;
+                case 'load':
+                    this._autoRefresh([e.target]);
+                    break;
+            }
+        },
+
+        /**
+        * Handler of the gestures: the input layer calls this function
+        * with the normalized events of every pointer (see `Scroller.Input`).
+        *
+        * @params e {InputEvent} The input event
+        * @method handleInput
+        * @private
+        */
+        handleInput: function (e) {
+            if (this.nativeScroll) {
+                this._handleNativeInput(e);
+                return;
+            }
+
+            // Mice that select text only scroll the content past the edges (`mouseDragMode`)
+            if (e.pointerType === INPUT.POINTER_MOUSE) {
+                if (e.type === 'start') {
+                    this._selecting = this.enabled && !this._isMouseDrag(e.srcEvent);
+
+                    // Where the text can be selected, dragging the scroller must not select it
+                    if (this.enabled && !this._selecting && this.opts.mouseDragMode !== MOUSE_DRAG_MODE_DRAG &&
+                        !this._isPreventDefaultException(e.target)) {
+                        e.preventDefault();
+                    }
+                }
+                if (this._selecting) {
+                    this._handleSelection(e);
+                    return;
+                }
+            }
+
+            switch ( e.type ) {
+                case 'start':
+                    this._start(e);
+                    break;
+                case 'move':
+                    this._move(e);
+                    break;
+                case 'end':
+                case 'cancel':
+                    this._end(e);
+                    break;
+            }
+        },
+    /* 
+    * ==================================================
+    * Pointer tracking
+    * ================================================== 
+    */
+
+        /**
+        * Returns the pointers that changed in a gesture event, normalized as `{id, pageX, pageY, clientX, clientY}`.
+        * Input events carry them already, DOM events are normalized by `Scroller.Input`.
+        *
+        * @params e {InputEvent|event} The gesture event
+        * @method _getChangedPointers
+        * @return {Array} The changed pointers
+        * @private
+        */
+        _getChangedPointers: function (e) {
+            return e.changedPointers || INPUT.getPointers(e);
+        },
+
+        /**
+        * Updates `pointerCount` and fires a `pointerCountChange` event if it changed,
+        * so plugins can react to multi-finger gestures.
+        *
+        * @method _setPointerCount
+        * @private
+        */
+        _setPointerCount: function () {
+            var count = Object.keys(this._pointers).length;
+
+            if (count !== this.pointerCount) {
+                this.pointerCount = count;
+                this._fire('pointerCountChange', count);
+            }
+        },
+
+        /**
+        * Registers the pointers that went down.
+        * A new interaction (first touch, primary pointer, the mouse or another type of pointer)
+        * discards any stale pointer whose end event we never got.
+        *
+        * @params e {InputEvent} The start event
+        * @method _addPointers
+        * @private
+        */
+        _addPointers: function (e) {
+            var changed = this._getChangedPointers(e),
+                type    = e.pointerType || INPUT.getPointerType(e),
+                i;
+
+            if (type !== this._pointersType || e.isFirst) {
+                this._pointers     = {};
+                this._pointersType = type;
+            }
+
+            for (i = 0; i < changed.length; i++) {
+                this._pointers[changed[i].id] = changed[i];
+            }
+
+            this._setPointerCount();
+        },
+
+        /**
+        * Updates the position of the pointers that moved.
+        *
+        * @params e {InputEvent} The move event
+        * @method _updatePointers
+        * @return {Object|null} The tracking pointer if it moved in this event
+        * @private
+        */
+        _updatePointers: function (e) {
+            var changed = this._getChangedPointers(e),
+                tracked = null,
+                pointer, i;
+
+            for (i = 0; i < changed.length; i++) {
+                pointer = changed[i];
+                if (this._pointers[pointer.id]) {
+                    this._pointers[pointer.id] = pointer;
+                    if (pointer.id === this._trackedPointerId) {
+                        tracked = pointer;
+                    }
+                }
+            }
+
+            return tracked;
+        },
+
+        /**
+        * Unregisters the pointers that went up (or were canceled).
+        *
+        * @params e {InputEvent} The end event
+        * @method _removePointers
+        * @return {boolean} Whether the tracking pointer was removed
+        * @private
+        */
+        _removePointers: function (e) {
+            var changed       = this._getChangedPointers(e),
+                trackedLifted = false,
+                i;
+
+            // Ids of different types of pointers (ex. touches and pens) can collide
+            if ((e.pointerType || INPUT.getPointerType(e)) !== this._pointersType) {
+                return false;
+            }
+
+            for (i = 0; i < changed.length; i++) {
+                if (changed[i].id === this._trackedPointerId) {
+                    trackedLifted = true;
+                }
+                delete this._pointers[changed[i].id];
+            }
+
+            this._setPointerCount();
+            return trackedLifted;
+        },
+
+        /**
+        * Makes the scroller follow the first active pointer.
+        * The reference point is reset to its current position so the content does not jump.
+        *
+        * @method _trackPointer
+        * @return {Object} The tracking pointer
+        * @private
+        */
+        _trackPointer: function () {
+            var id      = Object.keys(this._pointers)[0],
+                pointer = this._pointers[id];
+
+            this._trackedPointerId = pointer.id;
+            this.pointX            = pointer.pageX;
+            this.pointY            = pointer.pageY;
+
+            return pointer;
+        },
+
+    /* 
+    * ==================================================
+    * Native scrolling
+    * ================================================== 
+    */
+
+        /**
+        * Add or remove the event listeners of the native mode: the `scroll` events of the scroller element
+        * and the pointers of the input layer, to know when it is touched (or clicked, to drag the native scrollbars).
+        *
+        * @params eventType {function} `HELPERS.bind` or `HELPERS.unbind`
+        * @params action {string} Action to bind or unbind events
+        * @method _handleNativeEvents
+        * @private
+        */
+        _handleNativeEvents: function (eventType, action) {
+            eventType(this.scroller, 'scroll', this);
+
+            if (action === 'bind') {
+                // Nothing is prevented: every phase is passive
+                this._input = new INPUT(this.scroller, this, this._getInputOptions(window, {start: true, move: true, end: true}));
+            }
+        },
+
+        /**
+        * Handles the input events in native mode.
+        *
+        * @params e {InputEvent} The input event
+        * @method _handleNativeInput
+        * @private
+        */
+        _handleNativeInput: function (e) {
+            if (e.type === 'start') {
+                this._nativeTouching = true;
+            } else if (e.type !== 'move') {
+                this._nativeTouchEnd(e);
+            }
+        },
+
+        /**
+        * Handles the DOM events in native mode.
+        *
+        * @params e {event} The event provided by the browser
+        * @method _handleNativeEvent
+        * @private
+        */
+        _handleNativeEvent: function (e) {
+            switch ( e.type ) {
+                case 'scroll':
+                    this._nativeScroll(e);
+                    break;
+                case 'orientationchange':
+                case 'resize':
+                    this.resize();
+                    break;
+                case 'load':
+                    this._autoRefresh([e.target]);
+                    break;
+            }
+        },
+
+        /**
+        * Offset of the scrolling area where the content starts.
+        * The `PullToRefresh` element is part of the native scrolling area (above the logical `y = 0`),
+        * so pulling it into view is like pulling the synthetic scroller beyond the top.
+        *
+        * @method _getNativeOffset
+        * @return {integer} The offset in px
+        * @private
+        */
+        _getNativeOffset: function () {
+            return this._ptrThreshold || 0;
+        },
+
+        /**
+        * Reads the logical position from the native scroll position of the scroller element.
+        * Right-to-left scrollers use the standard negative `scrollLeft`.
+        *
+        * @method _getNativePosition
+        * @return {Object} The `{x, y}` position
+        * @private
+        */
+        _getNativePosition: function () {
+            var scroller = this.scroller;
+
+            return {
+                x : this.rtl ? scroller.scrollLeft : -scroller.scrollLeft,
+                y : this._getNativeOffset() - scroller.scrollTop
+            };
+        },
+
+        /**
+        * Sets the sizes of the native scrolling area.
+        * When there is a `PullToRefresh` element, the content gets a padding if needed
+        * so there is always enough room to scroll it out of view.
+        *
+        * @method _setNativeScrollSize
+        * @private
+        */
+        _setNativeScrollSize: function () {
+            var scroller = this.scroller,
+                offset   = this._getNativeOffset(),
+                padding;
+
+            this.scrollerStyle.paddingBottom = '';
+            padding = offset && this.wrapperHeight + offset - scroller.scrollHeight;
+
+            if (padding > 0) {
+                this.scrollerStyle.paddingBottom = padding + 'px';
+            }
+
+            this.scrollerWidth  = scroller.scrollWidth;
+            this.scrollerHeight = scroller.scrollHeight - offset;
+        },
+
+        /**
+        * Handles the `scroll` event of the scroller element.
+        * Synthesizes the `scrollStart` and `scrollMove` events with a `gestureMove` action while
+        * the user is touching the scroller and an `animationMove` action otherwise (momentum, smooth scrolling).
+        * The positions set by the scroller itself (`_translate`) are ignored since they are already notified.
+        *
+        * @params e {event} The scroll event provided by the browser
+        * @method _nativeScroll
+        * @private
+        */
+        _nativeScroll: function (e) {
+            var pos      = this._getNativePosition(),
+                touching = this._nativeTouching;
+
+            if (pos.x === this.x && pos.y === this.y) {
+                return;
+            }
+
+            if (!this._isScrolling) {
+                this._isScrolling = true;
+                this._fireScrollEvent('scrollStart', touching ? ACTION_GESTURE_START : ACTION_ANIM_MOVING, e);
+            }
+
+            this.distX = pos.x - this.x;
+            this.distY = pos.y - this.y;
+            this.x     = pos.x;
+            this.y     = pos.y;
+
+            this._fireScrollEvent('scrollMove', touching ? ACTION_GESTURE_MOVE : ACTION_ANIM_MOVING, e);
+            this._update();
+            this._scheduleNativeScrollEnd();
+        },
+
+        /**
+        * Handles the end of a touch (or a click) in native mode.
+        * If the scroller stopped while it was touched, the scroll ends now.
+        *
+        * @params e {InputEvent} The end (or cancel) event of the input layer
+        * @method _nativeTouchEnd
+        * @private
+        */
+        _nativeTouchEnd: function (e) {
+            if (!this._nativeTouching || e.pointerCount) {
+                return;
+            }
+
+            this._nativeTouching = false;
+
+            if (this._isScrolling && !this._nativeScrollEndTimeout) {
+                this._nativeScrollEnd();
+            }
+        },
+
+        /**
+        * (Re)starts the timer that ends the native scroll after `NATIVE_SCROLL_END_DELAY` ms without `scroll` events.
+        *
+        * @method _scheduleNativeScrollEnd
+        * @private
+        */
+        _scheduleNativeScrollEnd: function () {
+            var self = this;
+
+            w.clearTimeout(this._nativeScrollEndTimeout);
+            this._nativeScrollEndTimeout = w.setTimeout(function () {
+                self._nativeScrollEndTimeout = null;
+
+                // The touch end finishes it otherwise
+                if (!self._nativeTouching) {
+                    self._nativeScrollEnd();
+                }
+            }, Scroller.NATIVE_SCROLL_END_DELAY);
+        },
+
+        /**
+        * Ends a native scroll: it scrolls back if the `PullToRefresh` element is in view
+        * (or wherever `_resetPosition` says), or fires `scrollEnd`.
+        *
+        * @method _nativeScrollEnd
+        * @private
+        */
+        _nativeScrollEnd: function () {
+            if (!this._resetPosition(this.opts.bounceTime)) {
+                this._isScrolling = false;
+                this._fireScrollEvent('scrollEnd', ACTION_ANIM_END);
+            }
+        },
+
+        /**
+        * Scrolls the scroller element with the native smooth scrolling.
+        * It returns false when the browser can not do it, or when the scroller is already there
+        * (so no `scroll` events would follow).
+        *
+        * @params x {float} The x-position to scroll to
+        * @params y {float} The y-position to scroll to
+        * @method _nativeSmoothScroll
+        * @return {boolean} Whether the scroller is scrolling
+        * @private
+        */
+        _nativeSmoothScroll: function (x, y) {
+            var scroller = this.scroller,
+                left     = this.rtl ? x : -x,
+                top      = Math.max(0, Math.min(this._getNativeOffset() - y, scroller.scrollHeight - scroller.clientHeight));
+
+            if (!scroller.scrollTo || !('scrollBehavior' in w.document.documentElement.style)) {
+                return false;
+            }
+
+            left = this.rtl ? Math.min(0, Math.max(left, scroller.clientWidth - scroller.scrollWidth))
+                            : Math.max(0, Math.min(left, scroller.scrollWidth - scroller.clientWidth));
+
+            if (top === scroller.scrollTop && left === scroller.scrollLeft) {
+                return false;
+            }
+
+            scroller.scrollTo({left: left, top: top, behavior: 'smooth'});
+            this._scheduleNativeScrollEnd();
+            return true;
+        },
+
+    /* 
+    * ==================================================
+    * Nested scrollers
+    * ================================================== 
+    */
+
+        /**
+        * Finds the scroller nested directly inside this one that contains the given element (the target of a gesture).
+        *
+        * @params el {HTMLElement} Target element of the gesture
+        * @method _getNestedScroller
+        * @return {Scroller} The nested scroller or null if there is none
+        * @private
+        */
+        _getNestedScroller: function (el) {
+            var nested = null;
+
+            for (; el && el !== this.wrapper; el = el.parentNode) {
+                nested = el[INSTANCE_KEY] || nested;
+            }
+            return el ? nested : null;
+        },
+
+        /**
+        * Finds the nearest enabled ancestor scroller that scrolls on the given axis.
+        *
+        * @params vertical {boolean} Whether the ancestor has to scroll vertically or horizontally
+        * @method _getParentScroller
+        * @return {Scroller} The ancestor scroller or null if there is none
+        * @private
+        */
+        _getParentScroller: function (vertical) {
+            var el = this.wrapper.parentNode,
+                parent;
+
+            for (; el && el !== w.document; el = el.parentNode) {
+                parent = el[INSTANCE_KEY];
+                if (parent && parent.enabled && (parent.scrollBoth || parent.scrollVertical === vertical)) {
+                    return parent;
+                }
+            }
+            return null;
+        },
+
+        /**
+        * Axis of the ancestor that takes over a chained gesture or momentum:
+        * the axis of the scroller, or the one that overflowed the most when scrolling on both directions.
+        *
+        * @params x {float} Overflow (or velocity) on the x axis
+        * @params y {float} Overflow (or velocity) on the y axis
+        * @method _isChainVertical
+        * @return {boolean} Whether the ancestor has to scroll vertically
+        * @private
+        */
+        _isChainVertical: function (x, y) {
+            return this.scrollBoth ? Math.abs(y) >= Math.abs(x) : this.scrollVertical;
+        },
+
+        /**
+        * Checks if the scroller is handling the current gesture, so the ancestor scrollers don't move with it.
+        * It stops handling the gesture once it gets locked, it is chained or its direction
+        * is not the one of the scroller.
+        *
+        * @method _handlesGesture
+        * @return {boolean}
+        * @private
+        */
+        _handlesGesture: function () {
+            var direction = this.scrollDirection;
+
+            return this.enabled && !!this._initiated && !this._chained &&
+                (!direction || this.scrollBoth || this.scrollVertical === (direction === SCROLL_VERTICAL));
+        },
+
+        /**
+        * Hands over the rest of the gesture once it hits the edges of the scroller (`overscrollBehavior: 'chain'`).
+        * The nearest ancestor scroller takes it over from its next move,
+        * if there is none the document is scrolled instead.
+        *
+        * @params overflowX {float} Distance beyond the edge on the x axis
+        * @params overflowY {float} Distance beyond the edge on the y axis
+        * @method _chainGesture
+        * @private
+        */
+        _chainGesture: function (overflowX, overflowY) {
+            this._chained = this._getParentScroller(this._isChainVertical(overflowX, overflowY)) || w;
+            this._chainScroll(overflowX, overflowY);
+        },
+
+        /**
+        * Scrolls the document with the movement of a chained gesture
+        * (ancestor scrollers follow the pointer by themselves).
+        *
+        * @params deltaX {float} Movement on the x axis
+        * @params deltaY {float} Movement on the y axis
+        * @method _chainScroll
+        * @private
+        */
+        _chainScroll: function (deltaX, deltaY) {
+            if (this._chained === w) {
+                this._scrollDocument(deltaX, deltaY);
+            }
+        },
+
+        /**
+        * Hands over the velocity left when the momentum stops at the edges of the scroller
+        * (`overscrollBehavior: 'chain'`) to the nearest ancestor scroller or the document,
+        * once the scroller gets to the edge.
+        *
+        * @params time {float} Duration of the momentum of the scroller
+        * @method _chainMomentum
+        * @private
+        */
+        _chainMomentum: function (time) {
+            var self     = this,
+                velocity = this._chainVelocity;
+
+            if (!velocity.x && !velocity.y) {
+                return;
+            }
+
+            function handOver() {
+                var parent = self._getParentScroller(self._isChainVertical(velocity.x, velocity.y)),
+                    velocityX = self.rtl ? -velocity.x : velocity.x; // on the screen
+
+                if (parent) {
+                    parent._scrollWithVelocity(velocityX, velocity.y);
+                } else {
+                    self._scrollDocument(
+                        self._computeMomentum(velocity.x, 0).destination,
+                        self._computeMomentum(velocity.y, 0).destination,
+                        true
+                    );
+                }
+            }
+
+            if (time) {
+                this.once('scrollEnd' + CHAIN_NAMESPACE, handOver);
+            } else {
+                handOver();
+            }
+        },
+
+        /**
+        * Scrolls with momentum from a given velocity, like at the end of a gesture.
+        * This is how a nested scroller hands over its momentum.
+        *
+        * @params velocityX {float} Velocity on the x axis (as seen on the screen)
+        * @params velocityY {float} Velocity on the y axis
+        * @method _scrollWithVelocity
+        * @private
+        */
+        _scrollWithVelocity: function (velocityX, velocityY) {
+            var momentumX = {destination: this.x, time: 0},
+                momentumY = {destination: this.y, time: 0},
+                time;
+
+            if (this.rtl) {
+                velocityX = -velocityX;
+            }
+
+            this._stopMomentum();
+            this._chainVelocity = {x: 0, y: 0};
+
+            if (this.hasScrollX && !this.scrollVertical) {
+                momentumX = this._momentumFromVelocity(velocityX, this.x, this.maxScrollX, this.wrapperWidth, 'x');
+            }
+            if (this.hasScrollY && (this.scrollVertical || this.scrollBoth)) {
+                momentumY = this._momentumFromVelocity(velocityY, this.y, this.maxScrollY, this.wrapperHeight, 'y');
+            }
+
+            time = Math.max(momentumX.time, momentumY.time);
+
+            this._isScrolling = true;
+            this._scrollTo(momentumX.destination, momentumY.destination, time, momentumX.bounce || momentumY.bounce);
+            this._chainMomentum(time);
+        },
+
+        /**
+        * Scrolls the document by the given (logical) distance, the way the scroller content would move.
+        *
+        * @params deltaX {float} Distance on the x axis
+        * @params deltaY {float} Distance on the y axis
+        * @params [smooth] {boolean} Animate the scroll
+        * @method _scrollDocument
+        * @private
+        */
+        _scrollDocument: function (deltaX, deltaY, smooth) {
+            var x = this.rtl ? deltaX : -deltaX,
+                y = -deltaY;
+
+            if (smooth && 'scrollBehavior' in w.document.documentElement.style) {
+                w.scrollBy({left: x, top: y, behavior: 'smooth'});
+            } else {
+                w.scrollBy(x, y);
+            }
+        },
+
+    /* 
+    * ==================================================
+    * Scroller gestures
+    * ================================================== 
+    */
+
+        /**
+        * Handles the start gesture event.
+        *
+        * @params e {InputEvent} The start event of the input layer
+        * @method _start
+        * @private
+        */
+        _start: function (e) {
+            if ( !this.enabled || (this._initiated && e.pointerType !== this._initiated)) {
+                return;
+            }
+
+            // Embedded widgets (sliders, maps...) own the gestures that start on them,
+            // including the fingers added later on (until every pointer is lifted)
+            if (e.isFirst) {
+                this._ignoredGesture = this._isIgnoredTarget(e.target, e.srcEvent);
+            }
+
+            this._addPointers(e);
+
+            if (this._ignoredGesture) {
+                this._initiated = false;
+                return;
+            }
+
+            // A second finger turns the gesture into a pinch
+            if (this.opts.zoom && this.pointerCount > 1) {
+                this._zoomStart(e);
+                return;
+            }
+
+            // Additional fingers don't restart the gesture
+            if (this.pointerCount > 1) {
+                return;
+            }
+
+            var point = this._trackPointer();
+
+            // Reset internal state
+            this._initiated      = e.pointerType; // Register the type of pointer so others don't conflict
+            this.moved           = false;
+            this.distX           = 0;
+            this.distY           = 0;
+            this.velocity        = 0;
+            this.velocityX       = 0;
+            this.velocityY       = 0;
+            this.scrollDirection = null;
+            this._lockPrevented  = false;
+            this._chained        = null;
+            this._nestedScroller = this._getNestedScroller(e.target);
+            this._lockDirection  = this._getLockDirection(e.target);
+            this._tapTarget      = e.target;
+            this._tapX           = point.pageX;
+            this._tapY           = point.pageY;
+            this._stoppedScrolling = this._isScrolling;
+            this._preventClickTime = 0;
+            this._captured       = false;
+
+            this.off(CHAIN_NAMESPACE); // A new gesture cancels the momentum hand over
+            this._transitionTime();    // Reset CSS transition timing
+            this._isAnimating = false;
+
+            // If we are in the middle of a scrolling we need to stop everything and reset
+            if (this._isScrolling) {
+                this._stopMomentum();
+                this._isScrolling = false;
+                this._onStopScrolling(e);
+            }
+
+            // Set current position and time
+            this.startX         = this.x;
+            this.startY         = this.y;
+            this.pointX         = point.pageX;
+            this.pointY         = point.pageY;
+            this.startTime      = NOW();
+            this._lastPositionX = this.startX;
+            this._lastPositionY = this.startY;
+            this._lastFrameTime = null;
+            this._velocitySamples = [{x: this.x, y: this.y, time: this.startTime}];
+
+            // Fires public event (listeners can abort the gesture)
+            if (this._fireScrollEvent('beforeScrollStart', ACTION_GESTURE_START, e, true).defaultPrevented) {
+                this._initiated = false;
+            }
+        },
+
+        /**
+        * Whether a gesture that starts on the element is left to the content: the element (or one of its
+        * ancestors inside the wrapper) has the `data-scroller-ignore` attribute or matches `ignoreSelector`,
+        * or the `ignoreFilter` function returns true.
+        *
+        * @params el {HTMLElement} The target of the event
+        * @params e {event} The start event provided by the browser
+        * @method _isIgnoredTarget
+        * @return {boolean} Whether the gesture is skipped
+        * @protected
+        */
+        _isIgnoredTarget: function (el, e) {
+            var opts     = this.opts,
+                selector = '[' + IGNORE_ATTRIBUTE + ']' + (opts.ignoreSelector ? ', ' + opts.ignoreSelector : '');
+
+            return !!HELPERS.closest(el, selector, this.wrapper) || !!(opts.ignoreFilter && opts.ignoreFilter.call(this, el, e));
+        },
+
+        /**
+        * Direction that locks the scroller for a gesture that starts on the element:
+        * the `data-scroller-lock` of the closest region inside the wrapper, or `lockOnDirection`.
+        *
+        * @params el {HTMLElement} The target of the event
+        * @method _getLockDirection
+        * @return {string} `horizontal`, `vertical` or nothing
+        * @private
+        */
+        _getLockDirection: function (el) {
+            var region = HELPERS.closest(el, '[' + LOCK_ATTRIBUTE + ']', this.wrapper);
+            return region ? region.getAttribute(LOCK_ATTRIBUTE) : this.opts.lockOnDirection;
+        },
+
+        /**
+        * Invoked if a gestureStart event occurs while scrolling.
+        * By default, it will `preventDefault()` the start event so if a link is clicked, 
+        * it won't trigger browser navigation.
+        * Elements that match `preventDefaultException` keep the default (form fields can be focused).
+        *
+        * @params e {event} The gesturemove event provided by the browser
+        * @method _onStopScrolling
+        * @protected
+        */
+        _onStopScrolling: function (e) {
+            if (!this._isPreventDefaultException(e.target)) {
+                e.preventDefault();
+            }
+        },
+
+        /**
+        * Whether the element (or one of its ancestors inside the wrapper)
+        * matches the `preventDefaultException` selector.
+        *
+        * @params el {HTMLElement} The target of the event
+        * @method _isPreventDefaultException
+        * @return {boolean} Whether the browser defaults must be kept
+        * @protected
+        */
+        _isPreventDefaultException: function (el) {
+            var selector = this.opts.preventDefaultException;
+            return !!(selector && HELPERS.closest(el, selector, this.wrapper));
+        },
+
+        /**
+        * Handles the taps when a gesture ends.
+        * Gestures that don't move more than `Scroller.TAP_THRESHOLD` px fire a `tap` event with the tapped element
+        * (and a synthesized click on touch devices with `clickOnTap: true`).
+        * The clicks that the browser fires after longer gestures, or after a tap that stopped the scrolling, are suppressed.
+        *
+        * @params e {InputEvent} The end (or cancel) event
+        * @method _handleTap
+        * @private
+        */
+        _handleTap: function (e) {
+            var target   = this._tapTarget,
+                distance = Math.max(Math.abs(this.pointX - this._tapX), Math.abs(this.pointY - this._tapY));
+
+            this._tapTarget = null;
+
+            if (distance >= TAP_THRESHOLD || this._stoppedScrolling) {
+                this._preventClickTime = NOW();
+                return;
+            }
+
+            if (!target || e.type === 'cancel') {
+                return;
+            }
+
+            this._fireTap(target, e);
+
+            if (this.opts.clickOnTap && e.pointerType === INPUT.POINTER_TOUCH && !this._isPreventDefaultException(target)) {
+                this._synthesizeClick(target, e);
+            }
+        },
+
+        /**
+        * Fires the `tap` event with the tapped element and the DOM event.
+        * The `Gestures` plugin replaces it, its recognizer fires the taps.
+        *
+        * @params target {HTMLElement} The tapped element
+        * @params e {InputEvent} The end event
+        * @method _fireTap
+        * @protected
+        */
+        _fireTap: function (target, e) {
+            this._fire('tap', target, e.srcEvent);
+        },
+
+        /**
+        * Dispatches a click on the tapped element and cancels the click of the browser,
+        * so taps are not delayed or lost on touch devices.
+        *
+        * @params target {HTMLElement} The tapped element
+        * @params e {InputEvent} The end event
+        * @method _synthesizeClick
+        * @private
+        */
+        _synthesizeClick: function (target, e) {
+            var point = e.changedPointers[0],
+                src   = e.srcEvent,
+                click = w.document.createEvent('MouseEvents');
+
+            if (e.cancelable !== false) {
+                e.preventDefault(); // No compatibility mouse events nor click after a touchend
+            }
+
+            click.initMouseEvent('click', true, true, w, 1,
+                point.screenX, point.screenY, point.clientX, point.clientY,
+                src.ctrlKey, src.altKey, src.shiftKey, src.metaKey, 0, null);
+
+            // The click of the browser still follows pointer events
+            this._preventClickTime = NOW();
+            this._tapClick         = click;
+            target.dispatchEvent(click);
+            this._tapClick         = null;
+        },
+
+        /**
+        * Suppresses the clicks that the browser fires right after a drag (or a synthesized tap).
+        *
+        * @params e {event} The click event provided by the browser
+        * @method _click
+        * @private
+        */
+        _click: function (e) {
+            if (e !== this._tapClick && this._preventClickTime && NOW() - this._preventClickTime < GHOST_CLICK_TIME) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        },
+
+    /* 
+    * ==================================================
+    * Text selection
+    * ================================================== 
+    */
+
+        /**
+        * Whether a mouse that goes down drags the scroller (`mouseDragMode`).
+        * Otherwise it selects text.
+        *
+        * @params e {event} The start event provided by the browser
+        * @method _isMouseDrag
+        * @return {boolean} Whether the mouse drags the scroller
+        * @private
+        */
+        _isMouseDrag: function (e) {
+            var mode = this.opts.mouseDragMode;
+            return mode === MOUSE_DRAG_MODE_DRAG || (mode === MOUSE_DRAG_MODE_MODIFIER && !!e[this.opts.mouseDragModifier + 'Key']);
+        },
+
+        /**
+        * Handles the input events of a mouse that selects text: the browser selects it,
+        * and the scroller scrolls the content while the mouse is close to the edges (or beyond them).
+        *
+        * @params e {InputEvent} The input event of the mouse
+        * @method _handleSelection
+        * @private
+        */
+        _handleSelection: function (e) {
+            var point, rect;
+
+            point = e.changedPointers[0];
+
+            if (e.type !== 'move') {
+                this._stopAutoScroll();
+                this._selecting     = e.type === 'start';
+                this._selectionFrom = this._selecting ? {x: point.clientX, y: point.clientY} : null;
+                return;
+            }
+
+            // Past a tap the pointer is captured (as when dragging), so the moves outside of the wrapper keep coming
+            if (this._selectionFrom && Math.max(Math.abs(point.clientX - this._selectionFrom.x), Math.abs(point.clientY - this._selectionFrom.y)) >= TAP_THRESHOLD) {
+                this._selectionFrom = null;
+                if (this._input) {
+                    this._input.capture(e);
+                }
+            }
+
+            rect = this.wrapper.getBoundingClientRect();
+
+            // The selection follows the pointer, kept inside of the wrapper
+            this._selectionPoint = {
+                x: Math.max(rect.left + 1, Math.min(point.clientX, rect.right - 1)),
+                y: Math.max(rect.top + 1, Math.min(point.clientY, rect.bottom - 1))
+            };
+            this._autoScrollSpeed = {
+                x: this.hasScrollX ? this._getAutoScrollSpeed(point.clientX, rect.left, rect.right) : 0,
+                y: this.hasScrollY ? this._getAutoScrollSpeed(point.clientY, rect.top, rect.bottom) : 0
+            };
+
+            if ((this._autoScrollSpeed.x || this._autoScrollSpeed.y) && !this._rafSelection) {
+                this._autoScroll();
+            }
+        },
+
+        /**
+        * Returns the speed (in px per frame) to scroll an axis while selecting text,
+        * based on how far the pointer is into the edges of the wrapper (see `AUTO_SCROLL_EDGE`).
+        *
+        * @params pos {float} Position of the pointer on the axis
+        * @params start {float} Start of the wrapper on the axis
+        * @params end {float} End of the wrapper on the axis
+        * @method _getAutoScrollSpeed
+        * @return {integer} The speed, negative towards the start
+        * @private
+        */
+        _getAutoScrollSpeed: function (pos, start, end) {
+            var edge   = Math.min(Scroller.AUTO_SCROLL_EDGE, (end - start) / 4),
+                max    = Scroller.AUTO_SCROLL_MAX_SPEED,
+                offset = pos < start + edge ? pos - start - edge : pos > end - edge ? pos - end + edge : 0;
+
+            return Math.max(-max, Math.min(Math.round(offset / 2), max));
+        },
+
+        /**
+        * Scrolls the content one frame while selecting text, and extends the selection
+        * to the text that comes under the pointer. It stops at the edges of the content
+        * or once the pointer is back inside of the wrapper.
+        *
+        * @method _autoScroll
+        * @private
+        */
+        _autoScroll: function () {
+            var self  = this,
+                speed = this._autoScrollSpeed,
+                x     = this._clampWheelPosition(this.x + (this.rtl ? speed.x : -speed.x), this.maxScrollX),
+                y     = this._clampWheelPosition(this.y - speed.y, this.maxScrollY);
+
+            this._rafSelection = null;
+
+            if (x === this.x && y === this.y) {
+                this._stopAutoScroll();
+                return;
+            }
+
+            this.distX = x - this.x;
+            this.distY = y - this.y;
+
+            if (!this._autoScrolling) {
+                this._autoScrolling = true;
+                this._fireScrollEvent('scrollStart', ACTION_ANIM_MOVING);
+            }
+
+            this._translate(x, y);
+            this._fireScrollEvent('scrollMove', ACTION_ANIM_MOVING);
+            this._update();
+            this._extendSelection(this._selectionPoint.x, this._selectionPoint.y);
+
+            this._rafSelection = RAF(function () {
+                self._autoScroll();
+            });
+        },
+
+        /**
+        * Stops scrolling the content while selecting text.
+        *
+        * @method _stopAutoScroll
+        * @private
+        */
+        _stopAutoScroll: function () {
+            if (this._rafSelection) {
+                CAF(this._rafSelection);
+                this._rafSelection = null;
+            }
+
+            if (this._autoScrolling) {
+                this._autoScrolling = false;
+                this._fireScrollEvent('scrollEnd', ACTION_ANIM_END);
+            }
+        },
+
+        /**
+        * Extends the text selection to a point, as the browser only does it when the mouse moves.
+        *
+        * @params x {float} Client x-coordinate of the point
+        * @params y {float} Client y-coordinate of the point
+        * @method _extendSelection
+        * @private
+        */
+        _extendSelection: function (x, y) {
+            var doc       = w.document,
+                selection = w.getSelection && w.getSelection(),
+                caret;
+
+            if (!selection || !selection.rangeCount || !selection.extend) {
+                return;
+            }
+
+            if (doc.caretPositionFromPoint) {
+                caret = doc.caretPositionFromPoint(x, y);
+                if (caret) {
+                    selection.extend(caret.offsetNode, caret.offset);
+                }
+            } else if (doc.caretRangeFromPoint) {
+                caret = doc.caretRangeFromPoint(x, y);
+                if (caret) {
+                    selection.extend(caret.startContainer, caret.startOffset);
+                }
+            }
+        },
+        /**
+        * Tracks and calculates the velocity of the gesture between two points in time.
+        * Executed when scroller option `debounce: true` in the context of a `requestAnimationFrame` (every ~17ms).
+        * It uses the delta for both position and time between the current and previous frames to get the current velocity value,
+        * then it applies an exponential moving average filter to weight and smooth out the final velocity.
+        * The velocity is tracked on each axis, and `velocity` holds the one of the scrolling direction.
+        * This is the velocity used at the end of the gesture with `velocityStrategy: 'exponential'`.
+        *
+        * @params t {float} The timestamp of the frame provided by `requestAnimationFrame`
+        * @method _trackVelocity
+        * @protected
+        */
+        _trackVelocity: function (t) {
+            var elapsed = t && this._lastFrameTime ? t - this._lastFrameTime : 17, // ms between frames (~17ms on the first one)
+                vX, vY;
+
+            if (elapsed <= 0) {
+                return;
+            }
+
+            vX = (this.x - this._lastPositionX) / elapsed; // velocity relative to this frame
+            vY = (this.y - this._lastPositionY) / elapsed;
 
-                this.opts.pullToRefresh  = false;
-                this.opts.pullToLoadMore = false;
+            this._lastFrameTime = t;
+            this._lastPositionX = this.x;
+            this._lastPositionY = this.y;
+
+            // Applying exponential moving average filter
+            this.velocityX = 0.6 * vX + 0.4 * this.velocityX;
+            this.velocityY = 0.6 * vY + 0.4 * this.velocityY;
+            this.velocity  = this.scrollVertical ? this.velocityY : this.velocityX;
+        },
+        /**
+        * Stores the current position with its timestamp, discarding the samples
+        * that are older than `VELOCITY_SAMPLE_WINDOW`.
+        *
+        * @params time {float} Timestamp of the gesture event
+        * @method _addVelocitySample
+        * @private
+        */
+        _addVelocitySample: function (time) {
+            var samples = this._velocitySamples || (this._velocitySamples = []);
+
+            samples.push({x: this.x, y: this.y, time: time});
+
+            while (samples.length > 2 && time - samples[0].time > VELOCITY_SAMPLE_WINDOW) {
+                samples.shift();
             }
         },
         /**
-        * Finds the DOM element where the scroller will be hosted. 
-        * The provided element will be the `scroller-wrapper` 
-        * and the first child is the one that performs the scroll.
-        * This method also sets the proper class to the wrapper, depending 
-        * on `scrollDirection` set in the configuration.
+        * Calculates the velocity of an axis with a least-squares linear fit of the position
+        * over the time of the samples in the last `VELOCITY_SAMPLE_WINDOW` ms,
+        * so it does not depend on the frame rate nor on the frequency of the events.
         *
-        * @method _setElement
-        * @param el {string|HTMLElement} Element to which the scroller is attached
+        * @params axis {string} Axis (`x` or `y`)
+        * @params now {float} Timestamp of the end of the gesture
+        * @method _getSampledVelocity
+        * @return {float|null} The velocity in px/ms, or null if there are no samples
+        * @protected
+        */
+        _getSampledVelocity: function (axis, now) {
+            var samples = this._velocitySamples,
+                recent  = [],
+                sumT = 0, sumP = 0, sumTT = 0, sumTP = 0,
+                sample, t, n, i, denominator;
+
+            if (!samples || samples.length < 2) {
+                return null;
+            }
+
+            for (i = 0; i < samples.length; i++) {
+                if (now - samples[i].time <= VELOCITY_SAMPLE_WINDOW) {
+                    recent.push(samples[i]);
+                }
+            }
+
+            n = recent.length;
+            if (n < 2) {
+                return 0; // The gesture stopped before it ended
+            }
+
+            for (i = 0; i < n; i++) {
+                sample = recent[i];
+                t      = sample.time - recent[0].time; // relative times keep the precision
+                sumT  += t;
+                sumP  += sample[axis];
+                sumTT += t * t;
+                sumTP += t * sample[axis];
+            }
+
+            denominator = n * sumTT - sumT * sumT;
+            return denominator ? (n * sumTP - sumT * sumP) / denominator : 0;
+        },
+        /**
+        * Starts a `requestAnimationFrame` loop when a gestureMove is triggered 
+        * to debounce the event from the animation.
+        * For each frame, it updates the position and velocity, and 
+        * fires a private `_update` event to any plugin listening to it.
+        *
+        * @method _startMoveRAF
         * @private
         */
-        _setElement: function (el) {
-            this.wrapper       = typeof el === 'string' ? w.document.querySelector(el) : el;
-            this.scroller      = this.wrapper.children[0];
-            this.scrollerStyle = this.scroller.style;
+        _startMoveRAF: function () {
+            var self = this;
+            function moveStep (t) {
+                // Only the frame that follows a move carries its DOM event
+                var e = self._moveEvent;
 
-            this.scroller.classList.add('scroller');
-            this.scroller.classList.add( this.scrollVertical ? 'scroll-vertical' : 'scroll-horizontal');
+                self._moveEvent = null;
+                self._translate(self.x, self.y);
+                self._trackVelocity(t);
+                self._update();
+                self._fireScrollEvent('scrollMove', ACTION_GESTURE_MOVE, e);
+                self._rafMoving = RAF(moveStep);
+            }
+            moveStep();
         },
         /**
-        * Queries the wrapper element to get the updated size, in width and height.
-        * The element must be in the DOM to get the right measurement.
-        * The scroller won't work correctly if this attribute is set incorrectly.
+        * Stops the `requestAnimationFrame` debounce loop when gestureEnd is triggered.
         *
-        * @method _setWrapperSize
+        * @method _endMoveRAF
         * @private
         */
-        _setWrapperSize: function () {
-            this.wrapperWidth  = this.wrapper.clientWidth;
-            this.wrapperHeight = this.wrapper.clientHeight;
-            this.wrapperSize   = this.scrollVertical ? this.wrapperHeight : this.wrapperWidth;
+        _endMoveRAF: function () {
+            CAF(this._rafMoving);
+            this._moveEvent = null;
         },
         /**
-        * Sets the overall sizes of the scroller.
-        * Calculates the actual scrollable area and sets the proper internal state.
-        * Note that this has a small dependency on the `PullToLoadMore` plugin.
+        * Fires and broadcasts a private `_update` event.
+        * This function is critical for notifying the plugins that the scroller is moving.
         *
-        * @method _setWrapperSize
+        * @method _endMoveRAF
         * @private
         */
-        _setSize: function () {
-            var scrollerDOM = this.scroller,
-                // We need to take into account if the `PullToLoadMore` plugin is active
-                // and in that case substract the height from the scrollable area size
-                ptl         = this.opts.pullToLoadMore,
-                ptl_offset  = this._ptlThreshold || 0;
+        _update: function () {
+            this._fire('_update');
+        },
 
-            this._setWrapperSize();
-            this._sizePullToShowMore();
+        /**
+        * Checks if the scroller needs locking (will become inactive).
+        * By default, the scroller is locked if `lockOnDirection` is defined 
+        * and it matches the current scrollDirection of the gesture.
+        * This can be useful when dealing with multiple nested scrollers 
+        * which operate in different directions.
+        * Gestures that start in a `data-scroller-lock` region use the direction of the region instead.
+        *
+        * @method _needsLocking
+        * @private
+        */
+        _needsLocking: function () {
+            return  !this._lockPrevented &&
+                    this._lockDirection &&
+                    this.scrollDirection &&
+                    this._lockDirection === this.scrollDirection;
+        },
 
-            // Once all the sizes are accurate, performn the scroll size calculations
-            this.scrollerWidth  = scrollerDOM.offsetWidth;
-            this.scrollerHeight = ptl ? scrollerDOM.offsetHeight - ptl_offset : scrollerDOM.offsetHeight;
+        /**
+        * Deactivates the scroller for a given gesture and fires the `lock` event.
+        * If a listener cancels the event, the scroller stays active for the rest of the gesture.
+        *
+        * @params [e] {event} The gesturemove event provided by the browser
+        * @method _lockScroller
+        * @return {boolean} Whether the scroller got locked
+        * @private
+        */
+        _lockScroller: function (e) {
+            if (this._fireScrollEvent(ACTION_LOCK, ACTION_LOCK, e, true).defaultPrevented) {
+                this._lockPrevented = true;
+                return false;
+            }
 
-            this.maxScrollX     = this.wrapperWidth  - this.scrollerWidth;
-            this.maxScrollY     = this.wrapperHeight - this.scrollerHeight;
+            this._initiated = false;
+            return true;
+        },
 
-            this.maxScrollX     = this.maxScrollX > 0 ? 0 : this.maxScrollX;
-            this.maxScrollY     = this.maxScrollY > 0 ? 0 : this.maxScrollY;
+        /**
+        * Get the scroll direction once the gesture is bigger than a 
+        * given threshold (via the `minDirectionThrehold` option).
+        *
+        * @params absX {integer} Absolute value of the x coordinate
+        * @params absY {integer} Absolute value of the y coordinate
+        * @method _getScrollDirection
+        * @protected
+        */
+        _getScrollDirection: function (absX, absY) {
+            var treshold = this.opts.minDirectionThreshold;
+            this.scrollDirection =
+                (absX > absY + treshold) ? SCROLL_HORIZONTAL :
+                (absY > absX + treshold) ? SCROLL_VERTICAL :
+                null;
 
-            this.hasScrollX     = this.maxScrollX < 0;
-            this.hasScrollY     = this.maxScrollY < 0;
+            return this.scrollDirection;
+        },
+
+        /**
+        * Checks the current position. 
+        *
+        * @params absX {integer} Current x coordinate
+        * @params absY {integer} Current y coordinate
+        * @method _isOutOfScroll
+        * @private
+        */
+        _isOutOfScroll: function (x, y) {
+            var outX = x > 0 || x < this.maxScrollX,
+                outY = y > 0 || y < this.maxScrollY;
 
+            return this._pansBoth() ? outX || outY : this.scrollVertical ? outY : outX;
         },
+
         /**
-        * To be overriden by the `PullToShowMore` plugin.
-        * Calculates the height of `PullToShowMore` so
-        * it can be taken into account when calculating the total scrollable size.
+        * Whether the gestures move the scroller on both axes: when scrolling on both directions,
+        * or while the content is zoomed in (so all of the enlarged content can be reached).
         *
-        * @method _setPullToShowMore
+        * @method _pansBoth
+        * @return {boolean}
         * @private
         */
-        _sizePullToShowMore: function () {
-            //To be overriden
+        _pansBoth: function () {
+            return this.scrollBoth || this.scale > 1;
         },
+
         /**
-        * Private destroy function that is responsible for the destruction of the
-        * instance itself. 
-        * The plugins destroy themselves, as triggered by the public
-        * `destroy` method.
+        * Normalizes and sets the coordinate that is not being scrolled 
+        * to 0 so it moves in one direction only.
+        * When scrolling on both directions, only the axes without scrollable area are set to 0.
         *
-        * @method _destroy
+        * @params absX {integer} Current x coordinate
+        * @params absY {integer} Current y coordinate
+        * @method _setNormalizedXY
         * @private
         */
-        _destroy: function () {
-            this._handleEvents('unbind');
+        _setNormalizedXY: function (x, y) {
+            if (this._pansBoth()) {
+                this.x = this.hasScrollX ? x : 0;
+                this.y = this.hasScrollY ? y : 0;
+            } else if (this.scrollVertical) {
+                this.x = 0;
+                this.y = y;
+            } else {
+                this.x = x;
+                this.y = 0;
+            }
         },
+        /**
+        * Handles move gesture event.
+        *
+        * @params e {InputEvent} The move event of the input layer
+        * @method _move
+        * @private
+        */
+        _move: function (e) {
+            if (!this.enabled || (e.pointerType !== this._initiated)) {
+                e.srcEvent.scrollDirection = this.scrollDirection; // keep bubbling up the direction if is defined
+                return;
+            }
 
-    /* 
-    * ==================================================
-    * Event handling and bindings
-    * ================================================== 
-    */
+            var point = this._updatePointers(e);
+
+            if (this._zooming) {
+                this._zoomMove(e);
+                return;
+            }
+
+            // Moves from other pointers (or a pointer that is not down) are ignored
+            if (!point) {
+                return;
+            }
+
+            // A nested scroller is handling the gesture: follow the pointer to take over without jumps
+            if (this._nestedScroller && this._nestedScroller._handlesGesture()) {
+                this.pointX = point.pageX;
+                this.pointY = point.pageY;
+                return;
+            }
+
+            var deltaX    = this.rtl ? this.pointX - point.pageX : point.pageX - this.pointX,
+                deltaY    = point.pageY - this.pointY,
+                timestamp = NOW(),
+                newX, newY, absDistX, absDistY, clampedX, clampedY;
+
+            this._moveEvent = e;
+
+            // if movement is detected
+            if (!this.moved && (deltaX || deltaY)) {
+                // notify listeners (they can abort the gesture)
+                if (this._fireScrollEvent('scrollStart', ACTION_GESTURE_START, e, true).defaultPrevented) {
+                    this._initiated = false;
+                    return;
+                }
+                this.moved = true;
+                this._translate(this.x, this.y);
+                if (!this.opts.useCSSTransition || this.opts.debounce) {
+                    this._startMoveRAF(); // start requestAnimationFrame for debouncing the move event
+                }
+            }
+            // Past a tap the pointer is captured, so the gesture ends even if it is released outside of the window
+            if (!this._captured && Math.max(Math.abs(point.pageX - this._tapX), Math.abs(point.pageY - this._tapY)) >= TAP_THRESHOLD) {
+                this._captured = true;
+                this._input && this._input.capture(e);
+            }
+
+            // Update position and state
+            this.pointX  = point.pageX;
+            this.pointY  = point.pageY;
+            this.distX   = this.distX + deltaX;
+            this.distY   = this.distY + deltaY;
+            absDistX     = Math.abs(this.distX);
+            absDistY     = Math.abs(this.distY);
+            newX         = this.x + deltaX;
+            newY         = this.y + deltaY;
+
+            // Calculate and expose the gesture direction
+            e.srcEvent.scrollDirection = this.scrollDirection || this._getScrollDirection(absDistX, absDistY);
+
+            if (this._needsLocking() && this._lockScroller(e)) {
+                return;
+            }
+
+            // If minThrehold is defined, do not start moving until the distance is over it. 
+            if (this.opts.minThreshold && (absDistX < this.opts.minThreshold && absDistY < this.opts.minThreshold)) {
+                this._fireScrollEvent('scrollMove', ACTION_GESTURE_MOVE, e);
+                return;
+            }
+
+            // The rest of the gesture was handed over to an ancestor (or the document)
+            if (this._chained) {
+                this._chainScroll(deltaX, deltaY);
+                return;
+            }
+
+            // Stop at the edges (and chain the gesture if needed) unless the overscroll is contained
+            if (this.opts.overscrollBehavior !== OVERSCROLL_CONTAIN && this._isOutOfScroll(newX, newY)) {
+                clampedX = Math.max(Math.min(newX, 0), this.maxScrollX);
+                clampedY = Math.max(Math.min(newY, 0), this.maxScrollY);
+
+                if (this.opts.overscrollBehavior === OVERSCROLL_CHAIN) {
+                    this._chainGesture(newX - clampedX, newY - clampedY);
+                }
+
+                newX = clampedX;
+                newY = clampedY;
 
+            // Reduce scrollability (slowdown) when dragging beyond the scroll limits
+            // (on both directions each axis is slowed down independently)
+            } else if (this._pansBoth()) {
+                newX = this._isOutOfScroll(newX, 0) ? this._overscroll(this.x, deltaX, this.maxScrollX, this.wrapperWidth) : newX;
+                newY = this._isOutOfScroll(0, newY) ? this._overscroll(this.y, deltaY, this.maxScrollY, this.wrapperHeight) : newY;
+            } else if (this._isOutOfScroll(newX, newY)) {
+                newY = this._overscroll(this.y, deltaY, this.maxScrollY, this.wrapperHeight);
+                newX = this._overscroll(this.x, deltaX, this.maxScrollX, this.wrapperWidth);
+            }
+
+            // Scroll one direction at the time (set zero values on the other direction)
+            this._setNormalizedXY(newX, newY);
+            this._addVelocitySample(timestamp);
+
+            if (this.opts.useCSSTransition && !this.opts.debounce) {
+                // If debounce is set to false, we force the browser to update the position every time
+                this._translate(this.x, this.y);
+                this._fireScrollEvent('scrollMove', ACTION_GESTURE_MOVE, e);
+
+                // The timeStart reset helps keeping track only on the recent past of the gesture
+                // which reduces variability and gets a more consistent velocity calculation
+                if (timestamp - this.startTime > 300) {
+                    this.startTime = timestamp;
+                    this.startX = this.x;
+                    this.startY = this.y;
+                }
+            }
+        },
         /**
-        * Add or remove all of the neccesary event listeners, based on the provided configuration.
+        * Handles end gesture event.
         *
-        * @params action {string} Action to bind or unbind events
-        * @method _handleEvents
+        * @params e {InputEvent} The end (or cancel) event of the input layer
+        * @method _end
         * @private
         */
-        _handleEvents: function (action) {
-            var eventType = action === 'bind' ? HELPERS.bind : HELPERS.unbind,
-                wrapper   = this.wrapper,
-                target    = this.opts.bindToWrapper ? wrapper : window,
-                pHandlers = false, // pointerHandlers flag
-                scroller  = this.scroller;
+        _end: function (e) {
+            var trackedLifted = this._removePointers(e);
 
-            eventType(window, 'orientationchange', this);
-            eventType(window, 'resize', this);
+            if (this._ignoredGesture) {
+                this._ignoredGesture = this.pointerCount > 0;
+                return;
+            }
 
-            if (SUPPORT.touch && !this.opts.disableTouch) {
-                eventType(wrapper, 'touchstart',  this);
-                eventType(target,  'touchmove',   this);
-                eventType(target,  'touchcancel', this);
-                eventType(target,  'touchend',    this);
+            if (this._zooming) {
+                this._endMoveRAF();
+                this._zoomEnd(e);
+                return;
             }
 
-            if ((SUPPORT.pointers || SUPPORT.msPointers) && !this.opts.disablePointers) {
-                if (SUPPORT.pointers) {
-                    eventType(wrapper, 'pointerdown',   this);
-                    eventType(target,  'pointermove',   this);
-                    eventType(target,  'pointercancel', this);
-                    eventType(target,  'pointerup',     this);
-                } else {
-                    eventType(wrapper, 'MSPointerDown',   this);
-                    eventType(target,  'MSPointerMove',   this);
-                    eventType(target,  'MSPointerCancel', this);
-                    eventType(target,  'MSPointerUp',     this);
+            // The gesture continues while there are fingers down,
+            // if the tracking one is lifted we continue from another one without jumping
+            if (this.pointerCount) {
+                if (trackedLifted) {
+                    this._trackPointer();
                 }
-                pHandlers = true;
+                return;
             }
 
-            // Surface devices can have both mouse and pointer events
-            if (!this.opts.disableMouse && (!pHandlers || (pHandlers && this.opts.dualListeners))) {
-                eventType(wrapper, 'mousedown',   this);
-                eventType(target,  'mousemove',   this);
-                eventType(target,  'mousecancel', this);
-                eventType(target,  'mouseup',     this);
+            this._endMoveRAF(); // Always cancel the debounce RAF
+
+            if (!this.enabled || (e.pointerType !== this._initiated)) {
+                return;
             }
 
-            if (!this.opts.disableWheel) {
-                eventType(wrapper, 'wheel', this);
-                eventType(wrapper, 'mousewheel', this);
-                eventType(wrapper, 'DOMMouseScroll', this);
+            this._handleTap(e);
+
+            if (!this.moved) {
+                return;
             }
 
-            eventType(this.scroller, 'transitionend', this);
-            eventType(this.scroller, SUPPORT.prefix + 'TransitionEnd', this);
-        },
+            this._initiated = false;
 
-        /**
-        * Fire a custom event by name.
-        * The callback functions are executed with the scroller instance as context, and with the parameters listed here.
-        * The first argument is the event type and any additional arguments are passed to the listeners as parameters.
-        * This is used to notify the plugins of events that occur on the scroller.
-        *
-        * @params eventType {string} Type of event to be dispatched
-        * @params arguments {object} An arbitrary set of parameters to pass to the listeners
-        * @method _fire
-        * @private
-        */
-        _fire: function (eventType /*,arguments*/) {
-            var eventQueue = this._events[eventType],
-                eventFncs  = eventQueue && eventQueue.length,
-                params     = Array.prototype.slice.call(arguments, 1),
-                ePayload;
-                
-            if (eventFncs) {
-                for (var i = 0; i < eventFncs; i++) {
-                    ePayload = eventQueue[i];
-                    ePayload.fn.apply(ePayload.context || this, params);
-                }
+            var duration = NOW() - this.startTime,
+                time     = 0,
+                bounce   = EASING.regular,
+                momentum, momentumX, momentumY;
+
+            // The gesture was handed over at the edge, there is nothing left to scroll
+            if (this._chained) {
+                this._chained = null;
+                this._scrollTo(this.x, this.y, 0);
+                return;
             }
-        },
 
-        /**
-        * Hook mechanism that allows plugins to run functions before or after 
-        * the execution of a particular scroller function.
-        *
-        * @params when {string} When to execute the hooked function (before|after)
-        * @params method {string} Where to perform the hook
-        * @params method {function} Hook function to execute
-        * @method _hook
-        * @private
-        */
-        _hook: function (when, method, hookFn) {
-            var self         = this,
-                toHookMethod = this[method];
-            
-            if (toHookMethod) {
-                if (when === HOOK_AFTER) {
-                    this[method] = function () {
-                        var ret = toHookMethod.apply(this, arguments);
-                        return hookFn.call(this, ret);
-                    };
-                } else if (when === HOOK_BEFORE) {
-                    this[method] = function () {
-                        hookFn.apply(this, arguments);
-                        toHookMethod.apply(this, arguments);
-                    };
-                }
+            // If its outside the scrolling boundaries at this point (pos > 0 || pos < maxScroll),
+            // Just snap back (reset the position to be within the scrollable area)
+            if (this._resetPosition(this.opts.bounceTime)) {
+                return;
+            }
+
+            // If we arrive here, is time to scroll!
+            this._isScrolling   = true;
+            this._chainVelocity = {x: 0, y: 0};
+
+            // Calculate the momentum {destination, time} based on the gesture
+            if (this._pansBoth()) {
+                momentumX = this._axisMomentum('x', duration);
+                momentumY = this._axisMomentum('y', duration);
+                time      = Math.max(momentumX.time, momentumY.time);
+                this._scrollTo(
+                    momentumX.destination,
+                    momentumY.destination,
+                    time,
+                    momentumX.bounce || momentumY.bounce
+                );
+            } else if (this.scrollVertical) {
+                momentum = this._momentum(this.y, this.startY, duration, this.maxScrollY, this.wrapperHeight);
+                time     = momentum.time;
+                this._scrollTo(0, momentum.destination, time, momentum.bounce);
+            } else {
+                momentum = this._momentum(this.x, this.startX, duration, this.maxScrollX, this.wrapperWidth);
+                time     = momentum.time;
+                this._scrollTo(momentum.destination, 0, time, momentum.bounce);
             }
+
+            // Momentum that stopped at the edges goes on to the ancestors (`overscrollBehavior: 'chain'`)
+            this._chainMomentum(time);
         },
         /**
-        * Handler to dispatch all of the events that the scroller listens to.
-        * The browser calls this function if any of the events 
-        * registered in _handleEvents are triggered.
+        * Ends the ongoing gesture without momentum: the rest of its moves and its end are ignored
+        * and the scroller settles within its boundaries. Plugins that take over a gesture use it.
+        * A scroll started by the gesture fires its `scrollEnd`.
         *
-        * @params e {event} The event provided by the browser
-        * @method handleEvent
-        * @private
+        * @method _cancelGesture
+        * @protected
         */
-        handleEvent: function (e) {
-            switch ( e.type ) {
-                case 'touchstart':
-                case 'pointerdown':
-                case 'MSPointerDown':
-                case 'mousedown':
-                    this._start(e);
-                    break;
-                case 'touchmove':
-                case 'pointermove':
-                case 'MSPointerMove':
-                case 'mousemove':
-                    this._move(e);
-                    break;
-                case 'touchend':
-                case 'pointerup':
-                case 'MSPointerUp':
-                case 'mouseup':
-                case 'touchcancel':
-                case 'pointercancel':
-                case 'MSPointerCancel':
-                case 'mousecancel':
-                    this._end(e);
-                    break;
-                case 'orientationchange':
-                case 'resize':
-                    this.resize();
-                    break;
-                case 'transitionend':
-                case SUPPORT.prefix + 'TransitionEnd':
-                    this._transitionEnd(e);
-                    break;
-                case 'wheel':
-                case 'DOMMouseScroll':
-                case 'mousewheel':
-                    this._wheel(e);
-                    break;
+        _cancelGesture: function () {
+            if (!this._initiated) {
+                return;
+            }
+
+            this._endMoveRAF();
+            this._initiated = false;
+
+            if (this.moved) {
+                this.moved = false;
+                if (!this._resetPosition(this.opts.bounceTime)) {
+                    this._fireScrollEvent('scrollEnd', ACTION_GESTURE_END);
+                }
             }
         },
-    /* 
-    * ==================================================
-    * Scroller gestures
-    * ================================================== 
-    */
 
         /**
-        * Handles the start gesture event.
+        * Handles the wheel event for scrolling, as set in `wheelMode`:
+        * `instant` moves the scroller on the next frame, `smooth` animates every event
+        * and `inertial` adds velocity to the scroller.
+        * The deltas are mapped to the axes of the scroller with `wheelAxis` (see `_mapWheelDelta`).
+        * Events that don't move any axis of the scroller are left to the page.
         *
-        * @params e {event} The gesturestart event provided by the browser
-        * @method handleEvent
+        * @params e {event} The wheel event provided by the browser
+        * @method _wheel
         * @private
         */
-        _start: function (e) {
-            if ( !this.enabled || (this._initiated && EVENT_TYPE[e.type] !== this._initiated)) {
+        _wheel: function (e) {
+            if (!this.enabled) {
                 return;
             }
 
-            var point = e.touches ? e.touches[0] : e;
+            var self                 = this,
+                invertWheelDirection = this.opts.wheelInverted ? -1 : 1,
+                wheelMode            = this.opts.wheelMode,
+                smoothing            = wheelMode === WHEEL_MODE_SMOOTH && this._isAnimating && this._wheelTarget,
+                delta                = this._getWheelDelta(e),
+                wheelDeltaX, wheelDeltaY, startX, startY, newX, newY;
+
+            if (!delta) {
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
 
-            // Reset internal state
-            this._initiated      = EVENT_TYPE[e.type]; // Register eventType so we can't prevent conflicts
-            this.moved           = false;
-            this.distX           = 0;
-            this.distY           = 0;
-            this.velocity        = 0;
-            this.scrollDirection = null;
+            if (this.opts.zoom && e.ctrlKey) {
+                e.preventDefault();
+                e.stopPropagation();
+                this._wheelZoom(e, delta.y);
+                return;
+            }
 
-            this._transitionTime();    // Reset CSS transition timing
-            this._isAnimating = false;
+            wheelDeltaX = delta.x * invertWheelDirection;
+            wheelDeltaY = delta.y * invertWheelDirection;
 
-            // If we are in the middle of a scrolling we need to stop everything and reset
-            if (this._isScrolling) {
-                this._stopMomentum();
-                this._isScrolling = false;
-                this._onStopScrolling(e);
+            if (this.rtl) {
+                wheelDeltaX = -wheelDeltaX;
             }
 
-            // Set current position and time
-            this.startX         = this.x;
-            this.startY         = this.y;
-            this.pointX         = point.pageX;
-            this.pointY         = point.pageY;
-            this.startTime      = NOW();
-            this._lastPosition  = this.scrollVertical ? this.startY : this.startX;
+            delta       = this._mapWheelDelta(wheelDeltaX, wheelDeltaY);
+            wheelDeltaX = delta.x * this.opts.wheelMultiplierX;
+            wheelDeltaY = delta.y * this.opts.wheelMultiplierY;
 
-            // Fires public event
-            this._fire('beforeScrollStart', ACTION_GESTURE_START, e);
-        },
+            if (!wheelDeltaX && !wheelDeltaY) {
+                return;
+            }
 
-        /**
-        * Invoked if a gestureStart event occurs while scrolling.
-        * By default, it will `preventDefault()` the start event so if a link is clicked, 
-        * it won't trigger browser navigation.
-        *
-        * @params e {event} The gesturemove event provided by the browser
-        * @method _onStopScrolling
-        * @protected
-        */
-        _onStopScrolling: function (e) {
+            // The smooth animations add up, so fast wheel events don't lose any distance
+            startX = smoothing ? this._wheelTarget.x : this.x;
+            startY = smoothing ? this._wheelTarget.y : this.y;
+
+            newX = this._clampWheelPosition(startX + Math.round(this.hasScrollX ? wheelDeltaX : 0), this.maxScrollX);
+            newY = this._clampWheelPosition(startY + Math.round(this.hasScrollY ? wheelDeltaY : 0), this.maxScrollY);
+
+            // At the edges the wheel goes on to the ancestors (or the page) when chaining
+            if (this.opts.overscrollBehavior === OVERSCROLL_CHAIN && newX === startX && newY === startY) {
+                return;
+            }
+
+            // Stop browser defaults
             e.preventDefault();
+            e.stopPropagation();
+
+            if (wheelMode === WHEEL_MODE_SMOOTH) {
+                this._wheelSmooth(newX, newY);
+                return;
+            }
+
+            if (wheelMode === WHEEL_MODE_INERTIAL) {
+                this._wheelInertia(newX - this.x, newY - this.y);
+                return;
+            }
+
+            this.x = newX;
+            this.y = newY;
+
+            if (!this._rafWheel) {
+                this._rafWheel = RAF(function (t) {
+                    self._isScrolling = true;
+                    self.distY = wheelDeltaY;
+                    self.distX = wheelDeltaX;
+                    self._wheelRAF(); // Debounce event from animation
+                });
+            }
         },
         /**
-        * Tracks and calculates the velocity of the gesture between two points in time.
-        * Executed when scroller option `debounce: true` in the context of a `requestAnimationFrame` (every ~17ms).
-        * It uses the delta for both position and time between the current and previous frames to get the current velocity value,
-        * then it applies an exponential moving average filter to weight and smooth out the final velocity.
-        * 
+        * Normalizes the deltas of the different wheel events into px
+        * (positive values move the content to the bottom/right, like the scroller coordinates).
+        * Deltas in lines use `WHEEL_LINE_HEIGHT` and deltas in pages the size of the wrapper.
         *
-        * @params e {event} The gesturemove event provided by the browser
-        * @method _trackVelocity
-        * @protected
+        * @params e {event} The wheel event provided by the browser
+        * @method _getWheelDelta
+        * @return {Object} The `{x, y}` delta or null if the event has no delta
+        * @private
         */
-        _trackVelocity: function (t) {
-            var lastPos    = this._lastPosition,
-                currentPos = this.scrollVertical ? this.y : this.x,
-                elapsed    = 17, //ms between frames (RAF calss), hardcoded due to inconsistencies in different devices
-                delta      = currentPos - lastPos,
-                v;
+        _getWheelDelta: function (e) {
+            var mouseWheelSpeed = this.opts.wheelSpeed,
+                unitX = 1,
+                unitY = 1;
 
-            this._lastPosition  = currentPos;
+            // NOTE: The math for the legacy events was taken from iScroll.
+            // Eventually revisit the logic to make sure is cross platform compatible
 
-            v = delta / elapsed; // velocity relative to this frame
+            if ( 'deltaX' in e ) {
+                if (e.deltaMode === DELTA_LINE) {
+                    unitX = unitY = Scroller.WHEEL_LINE_HEIGHT;
+                } else if (e.deltaMode === DELTA_PAGE) {
+                    unitX = this.wrapperWidth;
+                    unitY = this.wrapperHeight;
+                }
+                return {x: -e.deltaX * unitX, y: -e.deltaY * unitY};
+            } else if ( 'wheelDeltaX' in e ) {
+                return {x: e.wheelDeltaX / 120 * mouseWheelSpeed, y: e.wheelDeltaY / 120 * mouseWheelSpeed};
+            } else if ( 'wheelDelta' in e ) {
+                return {x: e.wheelDelta / 120 * mouseWheelSpeed, y: e.wheelDelta / 120 * mouseWheelSpeed};
+            } else if ( 'detail' in e ) {
+                return {x: -e.detail / 3 * mouseWheelSpeed, y: -e.detail / 3 * mouseWheelSpeed};
+            }
 
-            // Applying exponential moving average filter
-            this.velocity = 0.6 * v + 0.4 * this.velocity;
+            return null;
         },
         /**
-        * Starts a `requestAnimationFrame` loop when a gestureMove is triggered 
-        * to debounce the event from the animation.
-        * For each frame, it updates the position and velocity, and 
-        * fires a private `_update` event to any plugin listening to it.
+        * Maps the deltas of a wheel event to the axes of the scroller, as set in `wheelAxis`:
         *
-        * @method _startMoveRAF
+        *  - `auto`: Horizontal scrollers follow the larger delta (a vertical wheel or a horizontal swipe).
+        *  - `strict`: Every delta moves its own axis only.
+        *  - `swap`: Vertical deltas move the x-axis and horizontal deltas the y-axis.
+        *
+        * Only the axes the scroller scrolls on keep their delta.
+        *
+        * @params deltaX {float} Horizontal delta in px
+        * @params deltaY {float} Vertical delta in px
+        * @method _mapWheelDelta
+        * @return {Object} The `{x, y}` delta for the scroller axes
         * @private
         */
-        _startMoveRAF: function () {
-            var self = this;
-            function moveStep (t) {
-                self._translate(self.x, self.y);
-                self._trackVelocity(t);
-                self._update();
-                self._fire('scrollMove', ACTION_GESTURE_MOVE, self.x, self.y);
-                self._rafMoving = RAF(moveStep);
+        _mapWheelDelta: function (deltaX, deltaY) {
+            var axis       = this.opts.wheelAxis,
+                horizontal = !this.scrollVertical && !this.scrollBoth,
+                x          = deltaX,
+                y          = deltaY;
+
+            if (axis === WHEEL_AXIS_SWAP) {
+                x = deltaY;
+                y = deltaX;
+            } else if (axis !== WHEEL_AXIS_STRICT && horizontal) {
+                x = Math.abs(deltaX) > Math.abs(deltaY) ? deltaX : deltaY;
             }
-            moveStep();
+
+            return {
+                x : this.scrollVertical ? 0 : x,
+                y : horizontal ? 0 : y
+            };
         },
         /**
-        * Stops the `requestAnimationFrame` debounce loop when gestureEnd is triggered.
+        * Keeps a position moved by the wheel within the scrollable area.
         *
-        * @method _endMoveRAF
+        * @params pos {float} The position in one axis
+        * @params maxScroll {float} The limit of the axis
+        * @method _clampWheelPosition
+        * @return {float} The position within [maxScroll, 0]
         * @private
         */
-        _endMoveRAF: function () {
-            CAF(this._rafMoving);
+        _clampWheelPosition: function (pos, maxScroll) {
+            return pos > 0 ? 0 : pos < maxScroll ? maxScroll : pos;
+        },
+        /**
+        * Animates the scroller to the position of a wheel event (`wheelMode: 'smooth'`).
+        * A new wheel event replaces the running animation, starting from the current position.
+        *
+        * @params x {float} The x-position to scroll to
+        * @params y {float} The y-position to scroll to
+        * @method _wheelSmooth
+        * @private
+        */
+        _wheelSmooth: function (x, y) {
+            this._stopMomentum();
+
+            this._wheelTarget = {x: x, y: y};
+            this.distX        = x - this.x;
+            this.distY        = y - this.y;
+            this._isScrolling = true;
+
+            this._scrollTo(x, y, Scroller.WHEEL_SMOOTH_TIME, EASING.regular);
+        },
+        /**
+        * Adds the delta of a wheel event to the velocity of the scroller (`wheelMode: 'inertial'`)
+        * and runs the animation while the velocity decays.
+        * The velocity is such that the scroller travels exactly the delta (see `WHEEL_DECELERATION_RATE`).
+        * It stops at the edges, it does not bounce.
+        *
+        * @params deltaX {float} Delta in px in the x-axis
+        * @params deltaY {float} Delta in px in the y-axis
+        * @method _wheelInertia
+        * @private
+        */
+        _wheelInertia: function (deltaX, deltaY) {
+            var self     = this,
+                rate     = Scroller.WHEEL_DECELERATION_RATE,
+                gain     = (1 - rate) / rate, // Σ v·rateⁿ = v·rate / (1 - rate)
+                running  = this._wheelInertial && this._isAnimating,
+                velocity = running ? this._wheelVelocity : {x: 0, y: 0},
+                lastTime = NOW();
+
+            velocity.x += deltaX * gain;
+            velocity.y += deltaY * gain;
+
+            if (running) {
+                return;
+            }
+
+            function step () {
+                var now    = NOW(),
+                    decay  = Math.pow(rate, now - lastTime),
+                    travel = rate * (1 - decay) / (1 - rate),
+                    rawX   = self.x + velocity.x * travel,
+                    rawY   = self.y + velocity.y * travel,
+                    x      = self._clampWheelPosition(rawX, self.maxScrollX),
+                    y      = self._clampWheelPosition(rawY, self.maxScrollY);
+
+                lastTime = now;
+
+                // Stop at the edges and once the velocity decays under 0.01 px/ms
+                velocity.x = x !== rawX ? 0 : velocity.x * decay;
+                velocity.y = y !== rawY ? 0 : velocity.y * decay;
+
+                self.distX = x - self.x;
+                self.distY = y - self.y;
+                self._translate(x, y);
+                self._fireScrollEvent('scrollMove', ACTION_ANIM_MOVING);
+                self._update();
+
+                if (Math.abs(velocity.x) < 0.01 && Math.abs(velocity.y) < 0.01) {
+                    // Add the (subpixel) distance left
+                    self._translate(
+                        Math.round(self._clampWheelPosition(x + velocity.x / gain, self.maxScrollX)),
+                        Math.round(self._clampWheelPosition(y + velocity.y / gain, self.maxScrollY)));
+
+                    self._wheelInertial = false;
+                    self._isAnimating   = false;
+                    self._isScrolling   = false;
+                    self._rafReq        = null;
+                    self._fireScrollEvent('scrollEnd', ACTION_ANIM_END);
+                } else if (self._isAnimating) {
+                    self._rafReq = RAF(step);
+                }
+            }
+
+            this._stopMomentum();
+
+            this._wheelVelocity = velocity;
+            this._wheelInertial = true;
+            this._isAnimating   = true;
+            this._isScrolling   = true;
+            this._rafReq        = RAF(step);
         },
         /**
-        * Fires and broadcasts a private `_update` event.
-        * This function is critical for notifying the plugins that the scroller is moving.
+        * Handles the debounce of the wheel event to decouple the event and the actual DOM update.
         *
-        * @method _endMoveRAF
+        * @params e {event} The wheel event provided by the browser
+        * @method _wheelRAF
         * @private
         */
-        _update: function () {
-            this._fire('_update');
+        _wheelRAF: function () {
+            this._translate(this.x, this.y);
+            this._update();
+            this._rafWheel    = false;
+            this._isScrolling = false;
         },
 
         /**
-        * Checks if the scroller needs locking (will become inactive).
-        * By default, the scroller is locked if `lockOnDirection` is defined 
-        * and it matches the current scrollDirection of the gesture.
-        * This can be useful when dealing with multiple nested scrollers 
-        * which operate in different directions.
+        * Handles the keydown event for scrolling when the wrapper (or any of its children) has focus.
+        * Arrow keys scroll by `KEY_SCROLL_STEP`, PageUp/PageDown and Space by the size of the wrapper,
+        * and Home/End go to the start or the end of the scroller.
+        * The event is stopped only if the scroller is going to move, so nested scrollers
+        * and the page can handle it otherwise.
         *
-        * @method _needsLocking
+        * @params e {event} The keydown event provided by the browser
+        * @method _key
         * @private
         */
-        _needsLocking: function () {
-            return  this.opts.lockOnDirection &&
-                    this.scrollDirection &&
-                    this.opts.lockOnDirection === this.scrollDirection;
+        _key: function (e) {
+            if (!this.enabled || e.altKey || e.ctrlKey || e.metaKey || this._isEditableTarget(e.target)) {
+                return;
+            }
+
+            var dest = this._getKeyDestination(e.key || KEY_CODES[e.keyCode], e.shiftKey);
+
+            if (!dest) {
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            this._keyDestination = dest;
+            this.scrollTo(dest.x, dest.y, Scroller.KEY_SCROLL_TIME, EASING.regular);
         },
 
         /**
-        * Deactivates the scroller for a given gesture and fires the private `lock` event.
+        * Checks whether the element handles the keyboard input by itself (form fields or editable content).
         *
-        * @method _lockScroller
+        * @params el {HTMLElement} The target of the keyboard event
+        * @method _isEditableTarget
+        * @return {boolean} True if the keyboard event belongs to the element
         * @private
         */
-        _lockScroller: function () {
-            this._initiated = false;
-            this._fire(ACTION_LOCK, this.scrollDirection);
+        _isEditableTarget: function (el) {
+            var tagName = el && el.tagName;
+            return !!el && (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || el.isContentEditable);
         },
 
         /**
-        * Get the scroll direction once the gesture is bigger than a 
-        * given threshold (via the `minDirectionThrehold` option).
+        * Calculates where the scroller should go for a given key, respecting the
+        * direction of the scroll and the scrollable area (including the infinite bounds of the `SurfaceManager`).
+        * Consecutive key strokes are accumulated while the previous key scroll is still animating.
         *
-        * @params absX {integer} Absolute value of the x coordinate
-        * @params absY {integer} Absolute value of the y coordinate
-        * @method _getScrollDirection
+        * @params key {string} Name of the key (as in `KeyboardEvent.key`)
+        * @params shiftKey {boolean} Whether the shift key is pressed (Shift + Space scrolls backwards)
+        * @method _getKeyDestination
+        * @return {Object|null} The {x, y} position to scroll to, or null if the scroller would not move
         * @protected
         */
-        _getScrollDirection: function (absX, absY) {
-            var treshold = this.opts.minDirectionThreshold;
-            this.scrollDirection =
-                (absX > absY + treshold) ? SCROLL_HORIZONTAL :
-                (absY > absX + treshold) ? SCROLL_VERTICAL :
-                null;
+        _getKeyDestination: function (key, shiftKey) {
+            var base      = this._isAnimating && this._keyDestination ? this._keyDestination : this,
+                vertical  = this.scrollVertical || this.scrollBoth, // Axis for page and edge keys
+                arrowX    = !this.scrollVertical,
+                arrowY    = this.scrollVertical || this.scrollBoth,
+                pageSize  = vertical ? this.wrapperHeight : this.wrapperWidth,
+                maxScroll = vertical ? this.maxScrollY : this.maxScrollX,
+                step      = Scroller.KEY_SCROLL_STEP,
+                deltaX    = 0,
+                deltaY    = 0,
+                delta     = 0,
+                x         = base.x,
+                y         = base.y,
+                edge;
+
+            switch (key) {
+                case 'ArrowUp':
+                case 'Up':
+                    deltaY = arrowY ? step : 0;
+                    break;
+                case 'ArrowDown':
+                case 'Down':
+                    deltaY = arrowY ? -step : 0;
+                    break;
+                case 'ArrowLeft':
+                case 'Left':
+                    deltaX = arrowX ? (this.rtl ? -step : step) : 0;
+                    break;
+                case 'ArrowRight':
+                case 'Right':
+                    deltaX = arrowX ? (this.rtl ? step : -step) : 0;
+                    break;
+                case 'PageUp':
+                    delta = pageSize;
+                    break;
+                case 'PageDown':
+                    delta = -pageSize;
+                    break;
+                case ' ':
+                case 'Spacebar':
+                    delta = shiftKey ? pageSize : -pageSize;
+                    break;
+                case 'Home':
+                    edge = 0;
+                    break;
+                case 'End':
+                    // There is no known end with infinite bounds
+                    edge = this.endless || !isFinite(maxScroll) ? null : maxScroll;
+                    break;
+                default:
+                    return null;
+            }
 
-            return this.scrollDirection;
+            if (vertical) {
+                deltaY += delta;
+                y = edge === undefined ? y + deltaY : edge;
+                x = x + deltaX;
+            } else {
+                deltaX += delta;
+                x = edge === undefined ? x + deltaX : edge;
+                y = y + deltaY;
+            }
+
+            if (edge === null) {
+                return null;
+            }
+
+            if (!this.endless) {
+                x = Math.min(0, Math.max(x, this.maxScrollX));
+                y = Math.min(0, Math.max(y, this.maxScrollY));
+            }
+
+            if (x === base.x && y === base.y) {
+                return null;
+            }
+
+            return {x: x, y: y};
         },
 
+        /* 
+        * ==================================================
+        * Zoom
+        * ================================================== 
+        */
+
         /**
-        * Checks the current position. 
+        * Gets the middle point between the first two active pointers,
+        * relative to the wrapper.
         *
-        * @params absX {integer} Current x coordinate
-        * @params absY {integer} Current y coordinate
-        * @method _isOutOfScroll
+        * @method _getPinchCenter
+        * @return {Object} An object with the `x`, `y` coordinates and the `distance` between the touches
         * @private
         */
-        _isOutOfScroll: function (x, y) {
-            return this.scrollVertical ? (y > 0 || y < this.maxScrollY) : (x > 0 || x < this.maxScrollX);
+        _getPinchCenter: function () {
+            var rect = this.wrapper.getBoundingClientRect(),
+                ids  = Object.keys(this._pointers),
+                t0   = this._pointers[ids[0]],
+                t1   = this._pointers[ids[1]],
+                dx   = t0.clientX - t1.clientX,
+                dy   = t0.clientY - t1.clientY;
+
+            return {
+                x        : (t0.clientX + t1.clientX) / 2 - rect.left,
+                y        : (t0.clientY + t1.clientY) / 2 - rect.top,
+                distance : Math.sqrt(dx * dx + dy * dy)
+            };
         },
 
         /**
-        * Normalizes and sets the coordinate that is not being scrolled 
-        * to 0 so it moves in one direction only.
+        * Starts a pinch gesture. Stores the scale, the distance between fingers,
+        * and the content point that lies under the center of the pinch, so it can be kept fixed.
         *
-        * @params absX {integer} Current x coordinate
-        * @params absY {integer} Current y coordinate
-        * @method _setNormalizedXY
+        * @params e {event} The touchstart event provided by the browser
+        * @method _zoomStart
         * @private
         */
-        _setNormalizedXY: function (x, y) {
-            if (this.scrollVertical) {
-                this.x = 0;
-                this.y = y;
-            } else {
-                this.x = x;
-                this.y = 0;
-            }
+        _zoomStart: function (e) {
+            var center = this._getPinchCenter();
+
+            this._endMoveRAF();
+            this._stopMomentum();
+            this._transitionTime();
+
+            this._initiated   = e.pointerType;
+            this._zooming     = true;
+            this._isScrolling = false;
+            this._isAnimating = false;
+            this.moved        = false;
+
+            this.startScale        = this.scale;
+            this._pinchDistance    = center.distance;
+            this._pinchOriginX     = (center.x - this.x) / this.scale;
+            this._pinchOriginY     = (center.y - this.y) / this.scale;
+
+            this._fire('zoomStart', this.scale);
         },
+
         /**
-        * Handles move gesture event.
+        * Updates the scale while pinching.
+        * Beyond `zoomMin` and `zoomMax` the scale is dampened so it can bounce back on release.
         *
-        * @params e {event} The gesturemove event provided by the browser
-        * @method _move
+        * @params e {event} The touchmove event provided by the browser
+        * @method _zoomMove
         * @private
         */
-        _move: function (e) {
-            if (!this.enabled || (EVENT_TYPE[e.type] !== this._initiated)) {
-                e.scrollDirection = this.scrollDirection; // keep bubbling up the direction if is defined
+        _zoomMove: function (e) {
+            if (this.pointerCount < 2) {
                 return;
             }
 
-            var point     = e.touches ? e.touches[0] : e,
-                deltaX    = point.pageX - this.pointX,
-                deltaY    = point.pageY - this.pointY,
-                timestamp = NOW(),
-                newX, newY, absDistX, absDistY;
-
-            // if movement is detected
-            if (!this.moved && (deltaX || deltaY)) {
-                this.moved = true;
-                this._translate(this.x, this.y);
-                this._fire('scrollStart', ACTION_GESTURE_START, e); // notify listeners
-                if (!this.opts.useCSSTransition || this.opts.debounce) {
-                    this._startMoveRAF(); // start requestAnimationFrame for debouncing the move event
-                }
-            }
-            // Update position and state
-            this.pointX  = point.pageX;
-            this.pointY  = point.pageY;
-            this.distX   = this.distX + deltaX;
-            this.distY   = this.distY + deltaY;
-            absDistX     = Math.abs(this.distX);
-            absDistY     = Math.abs(this.distY);
-            newX         = this.x + deltaX;
-            newY         = this.y + deltaY;
-
-            // Calculate and expose the gesture direction
-            e.scrollDirection = this.scrollDirection || this._getScrollDirection(absDistX, absDistY);
-
-            if (this._needsLocking()) {
-                this._lockScroller();
-                return;
-            }
+            var center  = this._getPinchCenter(),
+                zoomMin = this.opts.zoomMin,
+                zoomMax = this.opts.zoomMax,
+                scale   = this.startScale * center.distance / this._pinchDistance;
 
-            // If minThrehold is defined, do not start moving until the distance is over it. 
-            if (this.opts.minThreshold && (absDistX < this.opts.minThreshold && absDistY < this.opts.minThreshold)) {
-                this._fire('scrollMove', ACTION_GESTURE_MOVE, this.x, this.y, e);
-                return;
-            }
+            e.preventDefault();
 
-            // Reduce scrollability (slowdown) when dragging beyond the scroll limits
-            if (this._isOutOfScroll(newX, newY)) {
-                newY = this.y + deltaY / 3;
-                newX = this.x + deltaX / 3;
+            if (scale < zoomMin) {
+                scale = 0.5 * zoomMin * Math.pow(2.0, scale / zoomMin);
+            } else if (scale > zoomMax) {
+                scale = 2.0 * zoomMax * Math.pow(0.5, zoomMax / scale);
             }
 
-            // Scroll one direction at the time (set zero values on the other direction)
-            this._setNormalizedXY(newX, newY);
-
-            if (this.opts.useCSSTransition && !this.opts.debounce) {
-                // If debounce is set to false, we force the browser to update the position every time
-                this._translate(this.x, this.y);
-                this._fire('scrollMove', ACTION_GESTURE_MOVE, this.x, this.y, e);
+            this._setScale(scale);
 
-                // The timeStart reset helps keeping track only on the recent past of the gesture
-                // which reduces variability and gets a more consistent velocity calculation
-                if (timestamp - this.startTime > 300) {
-                    this.startTime = timestamp;
-                    this.startX = this.x;
-                    this.startY = this.y;
-                }
-            }
+            // Keep the content point under the fingers fixed
+            this._setNormalizedXY(
+                center.x - this._pinchOriginX * scale,
+                center.y - this._pinchOriginY * scale
+            );
+            this._translate(this.x, this.y);
+            this._update();
         },
+
         /**
-        * Handles end gesture event.
+        * Ends the pinch gesture, bouncing back if the scale or the position are out of limits.
         *
-        * @params e {event} The gesturemove event provided by the browser
-        * @method _end
+        * @params e {event} The touchend event provided by the browser
+        * @method _zoomEnd
         * @private
         */
-        _end: function (e) {
-            this._endMoveRAF(); // Always cancel the debounce RAF
-
-            if (!this.enabled || !this.moved || (EVENT_TYPE[e.type] !== this._initiated)) {
-                return;
-            }
+        _zoomEnd: function (e) {
+            var scale = Math.max(this.opts.zoomMin, Math.min(this.opts.zoomMax, this.scale)),
+                originX, originY;
 
+            this._zooming   = false;
             this._initiated = false;
 
-            var duration = NOW() - this.startTime,
-                time     = 0,
-                bounce   = EASING.regular,
-                momentum;
-
-            // If its outside the scrolling boundaries at this point (pos > 0 || pos < maxScroll),
-            // Just snap back (reset the position to be within the scrollable area)
-            if (this._resetPosition(this.opts.bounceTime)) {
-                return;
-            }
-
-            // If we arrive here, is time to scroll!
-            this._isScrolling = true;
-
-            // Calculate the momentum {destination, time} based on the gesture
-            if (this.scrollVertical) {
-                momentum = this._momentum(this.y, this.startY, duration, this.maxScrollY, this.wrapperHeight);
-                this._scrollTo(0, momentum.destination, momentum.time, momentum.bounce);
+            if (scale !== this.scale) {
+                // Scale back around the last pinch center
+                originX = this._pinchOriginX * this.scale + this.x;
+                originY = this._pinchOriginY * this.scale + this.y;
+                this._zoomTo(scale, originX, originY, this.opts.bounceTime);
             } else {
-                momentum = this._momentum(this.x, this.startX, duration, this.maxScrollX, this.wrapperWidth);
-                this._scrollTo(momentum.destination, 0, momentum.time, momentum.bounce);
+                this._fire('zoomEnd', this.scale);
+                this._resetPosition(this.opts.bounceTime);
             }
         },
 
         /**
-        * Handles the wheel event for scrolling.
+        * Zooms in or out when the wheel is used while the ctrl key is pressed
+        * (this is also what trackpad pinch gestures fire on most desktop browsers).
         *
         * @params e {event} The wheel event provided by the browser
-        * @method _wheel
+        * @params wheelDelta {float} Normalized vertical wheel delta
+        * @method _wheelZoom
         * @private
         */
-        _wheel: function (e) {
-            if (!this.enabled) {
-                return;
-            }
-            // Stop browser defaults
-            e.preventDefault();
-            e.stopPropagation();
+        _wheelZoom: function (e, wheelDelta) {
+            var rect  = this.wrapper.getBoundingClientRect(),
+                scale = this.scale * Math.pow(Scroller.ZOOM_WHEEL_RATIO, wheelDelta);
 
-            var self                 = this,
-                mouseWheelSpeed      = Scroller.MOUSE_WHEEL_SPEED,
-                invertWheelDirection = Scroller.MOUSE_WHEEL_INVERTED ? -1 : 1,
-                wheelDeltaX, wheelDeltaY, newX, newY;
-
-            // NOTE: The math behind this function was taken from iScroll.
-            // Eventually revisit the logic to make sure is cross platform compatible
+            this._stopMomentum();
+            this._fire('zoomStart', this.scale);
+            this._zoomTo(scale, e.clientX - rect.left, e.clientY - rect.top, 0);
+        },
 
-            if ( 'deltaX' in e ) {
-                wheelDeltaX = -e.deltaX;
-                wheelDeltaY = -e.deltaY;
-            } else if ( 'wheelDeltaX' in e ) {
-                wheelDeltaX = e.wheelDeltaX / 120 * mouseWheelSpeed;
-                wheelDeltaY = e.wheelDeltaY / 120 * mouseWheelSpeed;
-            } else if ( 'wheelDelta' in e ) {
-                wheelDeltaX = wheelDeltaY = e.wheelDelta / 120 * mouseWheelSpeed;
-            } else if ( 'detail' in e ) {
-                wheelDeltaX = wheelDeltaY = -e.detail / 3 * mouseWheelSpeed;
-            } else {
-                return;
-            }
+        /**
+        * Sets the scale and recalculates the scrollable area for it.
+        *
+        * @params scale {float} The new scale
+        * @method _setScale
+        * @private
+        */
+        _setScale: function (scale) {
+            this.scale = scale;
+            this._setMaxScroll();
+            this._fire('zoom', scale);
+        },
 
-            wheelDeltaX *= invertWheelDirection;
-            wheelDeltaY *= invertWheelDirection;
+        /**
+        * Zooms to a given scale keeping the point {x, y} (relative to the wrapper) fixed.
+        * The scale is limited to the [`zoomMin`, `zoomMax`] range.
+        *
+        * @params scale {float} The scale to zoom to
+        * @params x {float} x-coordinate of the zoom center
+        * @params y {float} y-coordinate of the zoom center
+        * @params [time] {float} ms of the zoom animation
+        * @method _zoomTo
+        * @private
+        */
+        _zoomTo: function (scale, x, y, time) {
+            var ratio, newX, newY;
 
-            if (!this.scrollVertical) {
-                wheelDeltaX = wheelDeltaY;
-                wheelDeltaY = 0;
-            }
+            scale = Math.max(this.opts.zoomMin, Math.min(this.opts.zoomMax, scale));
+            ratio = scale / this.scale;
+            newX  = x - (x - this.x) * ratio;
+            newY  = y - (y - this.y) * ratio;
 
-            newX = this.x + Math.round(this.hasScrollX ? wheelDeltaX : 0);
-            newY = this.y + Math.round(this.hasScrollY ? wheelDeltaY : 0);
+            // Clamp the destination to the scrollable area of the new scale
+            newX = Math.min(0, Math.max(newX, this.wrapperWidth  - Math.round(this.scrollerWidth * scale)));
+            newY = Math.min(0, Math.max(newY, this.wrapperHeight - Math.round(this.scrollerHeight * scale)));
 
-            if (newX > 0) {
+            // The zoomed content is panned on both axes, back to its size it scrolls on its own axis only
+            if (scale <= 1 && this.scrollVertical) {
                 newX = 0;
-            } else if ( newX < this.maxScrollX ) {
-                newX = this.maxScrollX;
-            }
-
-            if (newY > 0) {
+            } else if (scale <= 1 && !this.scrollBoth) {
                 newY = 0;
-            } else if ( newY < this.maxScrollY ) {
-                newY = this.maxScrollY;
             }
 
-            this.x = newX;
-            this.y = newY;
-
-            if (!this._rafWheel) {
-                this._rafWheel = RAF(function (t) {
-                    self._isScrolling = true;
-                    self.distY = wheelDeltaY;
-                    self.distX = wheelDeltaX;
-                    self._wheelRAF(); // Debounce event from animation
-                });
-            }
-        },
-        /**
-        * Handles the debounce of the wheel event to decouple the event and the actual DOM update.
-        *
-        * @params e {event} The wheel event provided by the browser
-        * @method _wheelRAF
-        * @private
-        */
-        _wheelRAF: function () {
-            this._translate(this.x, this.y);
-            this._update();
-            this._rafWheel    = false;
-            this._isScrolling = false;
+            this._scrollTo(newX, newY, time, EASING.regular, scale);
         },
 
         /* 
@@ -1007,28 +4031,50 @@
 
         /**
         * Gets the velocity of the gesture.
-        * If `debounce:true`, the velocity has been already calculated through `_trackVelocity`.
-        * Otherwise, the value is determined from the current state of the scroller.
+        * By default (`velocityStrategy: 'leastSquares'`) it is calculated from the timestamped samples
+        * of the gesture through `_getSampledVelocity` (or from the current state if there are no samples).
+        * With `velocityStrategy: 'exponential'`, if `debounce:true` the velocity has been already calculated
+        * through `_trackVelocity`, otherwise the value is determined from the current state of the scroller.
         *
         * @params current {float} Current position of the scroller
         * @params start {float} Start position of the scroller when the gesture started
         * @params time  {integer Duration of the gesture
+        * @params [axis] {string} Axis (`x` or `y`) to get the velocity from when scrolling on both directions
         * @method _getVelocity
         * @return {float} Velocity of the gesture
         * @protected
         */
-        _getVelocity: function (current, start, time) {
-            var v = this.opts.debounce ? this.velocity : ((current - start) / time);
-            if (Math.abs(v) < MIN_VELOCITY) { // if the velocity is really low, assume no movement
+        _getVelocity: function (current, start, time, axis) {
+            var tracked = axis === 'x' ? this.velocityX : axis === 'y' ? this.velocityY : this.velocity,
+                v;
+
+            if (this.opts.velocityStrategy === 'exponential') {
+                v = this.opts.debounce ? tracked : ((current - start) / time);
+            } else {
+                v = this._getSampledVelocity(axis || (this.scrollVertical ? 'y' : 'x'), NOW());
+                if (v === null) {
+                    v = (current - start) / time;
+                }
+            }
+
+            if (Math.abs(v) < this.physics.minVelocity) { // if the velocity is really low, assume no movement
                 v = 0;
+            } else if (Math.abs(v) > this.physics.maxVelocity) {
+                v = v < 0 ? -this.physics.maxVelocity : this.physics.maxVelocity;
+            }
+
+            if (axis) {
+                this[axis === 'x' ? 'velocityX' : 'velocityY'] = v;
+            } else {
+                this.velocity = v;
             }
-            this.velocity = v;
             return v;
         },
 
         /**
-        * Calculates the momentum {destination, time} based on the velocity of the gesture and on the
-        * acceleration.
+        * Calculates the momentum {destination, time} based on the velocity of the gesture,
+        * using the `momentum` function of the physics model.
+        * The distance is limited by the `maxFlingDistance` of the model.
         *
         * @params velocity {float} Velocity of the gesture
         * @params current {float} Current scroller position
@@ -1036,15 +4082,35 @@
         * @return {Object} An object with the destination and time where the scroller should go.
         * @protected
         */
-        _computeMomentum: function (velocity, current) {
-            var acceleration = this.acceleration,
-                time         = Math.abs(velocity) / acceleration, // t = v / a
-                distance     = velocity / 2 * time; // ΔX = vt + 1/2 at² = v / 2 * t 
-
-            return {
-                destination : current + distance,
-                time        : time
-            };
+        _computeMomentum: function (velocity, current) {
+            var momentum = this.physics.momentum(velocity, current),
+                distance = Math.abs(momentum.destination - current),
+                max      = this.physics.maxFlingDistance;
+
+            if (distance > max) {
+                // Keep the same deceleration (distance grows with the square of the time)
+                momentum.destination = current + (momentum.destination < current ? -max : max);
+                momentum.time        = momentum.time * Math.sqrt(max / distance);
+            }
+
+            return momentum;
+        },
+
+        /**
+        * Calculates the position while dragging beyond the scroll limits,
+        * using the `overscroll` function of the physics model.
+        *
+        * @params current {float} Current scroller position
+        * @params delta {float} Distance moved by the gesture
+        * @params maxScroll {float} Maximum scrollable position
+        * @params size {float} Wrapper size
+        * @method _overscroll
+        * @return {float} The new position
+        * @protected
+        */
+        _overscroll: function (current, delta, maxScroll, size) {
+            var overshoot = current > 0 ? current : current < maxScroll ? current - maxScroll : 0;
+            return current + this.physics.overscroll(delta, overshoot, size);
         },
 
         /**
@@ -1053,8 +4119,7 @@
         * destination of the scroller is way beyond the scrollable area, 
         * it needs to calculate a momentum that is closer to the boundaries 
         * to create the snap effect.
-        * The mathematical function to get the destination is a simple ponderation 
-        * of how much px to snap based on the current position and velocity.
+        * The destination is calculated by the `snapBack` function of the physics model.
         *
         * @params start {float} Minimum or maximum scrollable position
         * @params end {float} Wrapper size (how big the scroller wrapper is)
@@ -1065,11 +4130,7 @@
         * @protected
         */
         _computeSnap: function (start, end, velocity, current) {
-            var destination = start + (end / 2) * (velocity / 8);
-            return {
-                destination : destination,
-                time        : Math.abs((destination - current) / velocity)
-            };
+            return this.physics.snapBack(start, end, velocity, current);
         },
 
         /**
@@ -1081,27 +4142,82 @@
         * @params duration {float} Time of the gesture
         * @params lowerMargin {integer} Maximum/minimum scrollable position
         * @params wrapperSize {integer} Size of the scroller wrapper
+        * @params [axis] {string} Axis (`x` or `y`) of the momentum when scrolling on both directions
         * @method _momentum
         * @return {Object} An object with the destination and time where the scroller should scroll to.
         * @protected
         */
-        _momentum: function (current, start, duration, lowerMargin, wrapperSize) {
-            var velocity = this._getVelocity(current, start, duration),
-                momentum = this._computeMomentum(velocity, current);
+        _momentum: function (current, start, duration, lowerMargin, wrapperSize, axis) {
+            var velocity = this._getVelocity(current, start, duration, axis);
+            return this._momentumFromVelocity(velocity, current, lowerMargin, wrapperSize, axis);
+        },
 
-            // Beyond the scrollable area (bottom)
-            if (momentum.destination < lowerMargin) {
-                momentum = this._computeSnap(lowerMargin, wrapperSize, velocity, current);
-                momentum.bounce = EASING.bounce;
+        /**
+        * Calculates the momentum for a given velocity.
+        * When the destination falls outside of the scrollable region it bounces back
+        * (`overscrollBehavior: 'contain'`) or it stops at the edge.
+        * When chaining, the velocity left at the edge is kept in `_chainVelocity` to be handed over.
+        *
+        * @params velocity {float} Velocity of the gesture
+        * @params current {float} Current scroller position
+        * @params lowerMargin {integer} Maximum/minimum scrollable position
+        * @params wrapperSize {integer} Size of the scroller wrapper
+        * @params [axis] {string} Axis (`x` or `y`) of the momentum when scrolling on both directions
+        * @method _momentumFromVelocity
+        * @return {Object} An object with the destination and time where the scroller should scroll to.
+        * @protected
+        */
+        _momentumFromVelocity: function (velocity, current, lowerMargin, wrapperSize, axis) {
+            var momentum  = this._computeMomentum(velocity, current),
+                behavior  = this.opts.overscrollBehavior,
+                edge      = momentum.destination < lowerMargin ? lowerMargin : momentum.destination > 0 ? 0 : null,
+                remaining;
+
+            // Within the scrollable area
+            if (edge === null) {
+                return momentum;
+            }
 
-            // Beyond the scrollable area (top)
-            } else if (momentum.destination > 0) {
-                momentum = this._computeSnap(0, wrapperSize, velocity, current);
+            // Beyond the scrollable area (top or bottom)
+            if (behavior === OVERSCROLL_CONTAIN) {
+                momentum = this._computeSnap(edge, wrapperSize, velocity, current);
                 momentum.bounce = EASING.bounce;
+                return momentum;
             }
 
-            return momentum;
+            // Fraction of the velocity left at the edge (assuming a constant deceleration)
+            remaining = Math.sqrt(Math.max(0, 1 - Math.abs(edge - current) / Math.abs(momentum.destination - current)));
+
+            if (behavior === OVERSCROLL_CHAIN) {
+                this._chainVelocity[axis || (this.scrollVertical ? 'y' : 'x')] = velocity * remaining;
+            }
+
+            return {
+                destination : edge,
+                time        : momentum.time * (1 - remaining)
+            };
+        },
+
+        /**
+        * Calculates the momentum of a single axis when scrolling on both directions.
+        * Axes without scrollable area don't move.
+        *
+        * @params axis {string} Axis to calculate (`x` or `y`)
+        * @params duration {float} Time of the gesture
+        * @method _axisMomentum
+        * @return {Object} An object with the destination and time where the axis should scroll to.
+        * @private
+        */
+        _axisMomentum: function (axis, duration) {
+            var horizontal = axis === 'x';
+
+            if (!(horizontal ? this.hasScrollX : this.hasScrollY)) {
+                return {destination: 0, time: 0};
+            }
 
+            return horizontal ?
+                this._momentum(this.x, this.startX, duration, this.maxScrollX, this.wrapperWidth, axis) :
+                this._momentum(this.y, this.startY, duration, this.maxScrollY, this.wrapperHeight, axis);
         },
 
         /**
@@ -1114,7 +4230,10 @@
         _stopMomentum: function () {
             var transform  = STYLES.transform,
                 transition = STYLES.transition,
-                style, matrix, x, y;
+                style, matrix, x, y, scale, pos;
+
+            // The next smooth wheel starts from the current position
+            this._wheelTarget = null;
 
             // If we are using CSS transitions, we need to calculate the current 
             // position and reset the transition time.
@@ -1125,16 +4244,28 @@
                     this.scrollerStyle[transition] = '';
                     x = matrix.m41;
                     y = matrix.m42;
+                    scale = matrix.m11;
                 } else {
                     matrix = style[transform].split(')')[0].split(', ');
                     x = +(matrix[12] || matrix[4]);
                     y = +(matrix[13] || matrix[5]);
+                    scale = +matrix[0].split('(')[1];
                 }
-                this._translate(x, y);
+                if (this.opts.zoom && scale && scale !== this.scale) {
+                    this._setScale(scale);
+                }
+                this._translate(this.rtl ? -x : x, y);
             } else {
                 // Otherwise we are using animation 
                 // Cancel RAF
                 CAF(this._rafReq);
+                this._wheelInertial = false;
+
+                // Setting the native position stops the native momentum or smooth scrolling
+                if (this.nativeScroll) {
+                    pos = this._getNativePosition();
+                    this._translate(pos.x, pos.y);
+                }
             }
         },
 
@@ -1231,9 +4362,11 @@
             this.scrollerStyle[STYLES.transitionDuration] = time + 'ms';
         },
         /**
-        * Sets the current position in the CSS matrix3d transform.
+        * Sets the current position (and zoom `scale`) in the CSS matrix3d transform.
         * We use matrix3d to force GPU acceleration and to allow plugins to easily
         * manipulate the matrix later on.
+        * In right-to-left scrollers the `x` coordinate is mirrored.
+        * In native mode it sets the native scroll position instead (the browser keeps it within the limits).
         * 
         * @params x {integer} Position for x coordinate 
         * @params y {integer} Position for y coordinate 
@@ -1241,7 +4374,19 @@
         * @protected
         */
         _translate: function (x, y) {
-            this.scrollerStyle[STYLES.transform] = 'matrix3d(1,0,0,0,0,1,0,0,0,0,1,0,' + x +',' + y +', 0, 1)';
+            var scale = this.scale,
+                pos;
+
+            if (this.nativeScroll) {
+                this.scroller.scrollLeft = this.rtl ? x : -x;
+                this.scroller.scrollTop  = this._getNativeOffset() - y;
+                pos = this._getNativePosition();
+                x   = pos.x;
+                y   = pos.y;
+            } else {
+                this.scrollerStyle[STYLES.transform] = 'matrix3d(' + scale + ',0,0,0,0,' + scale + ',0,0,0,0,1,0,' + (this.rtl ? -x : x) +',' + y +', 0, 1)';
+            }
+
             this.x = x;
             this.y = y;
         },
@@ -1256,9 +4401,14 @@
         _transitionEnd: function (e) {
             if (this.opts.useCSSTransition && e.target === this.scroller) {
                 this._transitionTime();
+                this._wheelTarget = null;
+                if (this._zoomTransition) {
+                    this._zoomTransition = false;
+                    this._fire('zoomEnd', this.scale);
+                }
                 if (!this._resetPosition(this.opts.bounceTime)) {
                     this._isScrolling  = false;
-                    this._fire('scrollEnd', ACTION_ANIM_END);
+                    this._fireScrollEvent('scrollEnd', ACTION_ANIM_END);
                 }
             }
         },
@@ -1275,17 +4425,21 @@
             * @params y {float} The y-position to scroll to
             * @params duration {float} The duration of the animation
             * @params easingFn {function} A function that images x values within [0,1] range
+            * @params [scale] {float} The scale to zoom to
         * @method _animate
             * @private
         */
-        _animate: function (x, y, duration, easingFn) {
-            var self      = this,
-                startX    = this.x,
-                startY    = this.y,
-                startTime = NOW(),
-                deltaX    = x - startX,
-                deltaY    = y - startY,
-                destTime  = startTime + duration;
+        _animate: function (x, y, duration, easingFn, scale) {
+            var self       = this,
+                startX     = this.x,
+                startY     = this.y,
+                startScale = this.scale,
+                startTime  = NOW(),
+                deltaX     = x - startX,
+                deltaY     = y - startY,
+                zooming    = scale !== undefined,
+                deltaScale = zooming ? scale - startScale : 0,
+                destTime   = startTime + duration;
 
             function step () {
                 var now = NOW(),
@@ -1293,12 +4447,17 @@
 
                 if (now >= destTime) { // Finish the animation here
                     self._isAnimating = false;
-                    self._rafReq = null;
+                    self._rafReq      = null;
+                    self._wheelTarget = null;
+                    if (zooming) {
+                        self._setScale(scale);
+                        self._fire('zoomEnd', scale);
+                    }
                     self._translate(x, y);
 
                     // Snap back if we are out of boundaries
                     if (!self._resetPosition(self.opts.bounceTime)) {
-                        self._fire('scrollEnd', ACTION_ANIM_END);
+                        self._fireScrollEvent('scrollEnd', ACTION_ANIM_END);
                         self._isScrolling = false;
                     }
                     return;
@@ -1313,9 +4472,13 @@
                 newX = deltaX * easing + startX;
                 newY = deltaY * easing + startY;
 
+                if (deltaScale) {
+                    self._setScale(deltaScale * easing + startScale);
+                }
+
                 // Set the new position and notify changes
                 self._translate(newX, newY);
-                self._fire('scrollMove', ACTION_ANIM_MOVING, newX, newY);
+                self._fireScrollEvent('scrollMove', ACTION_ANIM_MOVING);
                 self._update();
 
                 if (self._isAnimating) {
@@ -1370,6 +4533,7 @@
         /**
         * Scroll to a {x,y} position, given a specific time and easing function.
         * If `useCSSTransition: true`, the CSS changes are applied to the scroller.
+        * In native mode the browser smooth scrolling is used when available (the browser decides its duration and easing).
         * Otherwise, an animation that interpolates
         * positions using `requestAnimationFrame` is triggered.
         *
@@ -1377,13 +4541,22 @@
         * @params y {float} The x-position to scroll to
         * @params time {float} Duration of the animation
         * @params easingFn {function} An easing function (if not provided, regular CubicBezier is used)
+        * @params [scale] {float} The scale to zoom to (the current scale is kept if not provided)
         * @method _scrollTo
         * @private
         */
-        _scrollTo: function (x, y, time, easing) {
+        _scrollTo: function (x, y, time, easing, scale) {
             easing || (easing = EASING.regular);
 
             if (!time || this.opts.useCSSTransition) {
+                if (scale !== undefined) {
+                    this._setScale(scale);
+                    if (time) {
+                        this._zoomTransition = true;
+                    } else {
+                        this._fire('zoomEnd', scale);
+                    }
+                }
                 this._transitionEasing(easing.style);
                 this._transitionTime(time);
                 this._translate(x, y);
@@ -1392,26 +4565,80 @@
                     this._isScrolling = false;
                     this._fire(ACTION_GESTURE_END);
                 }
-            } else {
-                this._animate(x, y, time, easing.fn);
+            } else if (!this.nativeScroll || !this._nativeSmoothScroll(x, y)) {
+                this._animate(x, y, time, easing.fn, scale);
             }
         },
 
         /**
-        * Prepend an Array of elements into the scroller.
-        * This function is overriden by SurfaceManager to allow a custom DOM manipulation.
+        * Subscribes a callback to an event.
+        * The event name can be namespaced (`scrollEnd.myView`) so all the listeners
+        * of a namespace can be removed at once with `off('.myView')`.
+        *
         * @params eventType {string} Event name
         * @params fn {function} The callback to execute in response to the event
         * @params [context] {object} Override `this` object in callback
         * @method on
         * @public
+        *
+        * @example
+            scroller.on('scrollEnd.myView', function (action) {
+                console.log('scrollEnd', this.y);
+            });
         */
         on: function (eventType, fn, context) {
-            var eventQueue = this._events[eventType] || (this._events[eventType] = []);
-            eventQueue.push({
-                fn      : fn,
-                context : context
-            });
+            return this._addListener(eventType, fn, context);
+        },
+
+        /**
+        * Subscribes a callback to an event that is removed after its first execution.
+        *
+        * @params eventType {string} Event name (can be namespaced)
+        * @params fn {function} The callback to execute in response to the event
+        * @params [context] {object} Override `this` object in callback
+        * @method once
+        * @public
+        */
+        once: function (eventType, fn, context) {
+            return this._addListener(eventType, fn, context, true);
+        },
+
+        /**
+        * Unsubscribes callbacks from an event.
+        *
+        *  - `off('scrollEnd')` removes all the `scrollEnd` listeners.
+        *  - `off('scrollEnd', fn)` removes `fn` from `scrollEnd`.
+        *  - `off('scrollEnd', fn, context)` removes `fn` registered with that context.
+        *  - `off('scrollEnd.myView')` removes the `scrollEnd` listeners of the `myView` namespace.
+        *  - `off('.myView')` removes all the listeners of the `myView` namespace.
+        *
+        * It is safe to call it from within a listener while the event is being fired.
+        *
+        * @params eventType {string} Event name and/or namespace
+        * @params [fn] {function} The callback to remove
+        * @params [context] {object} The context the callback was registered with
+        * @method off
+        * @public
+        */
+        off: function (eventType, fn, context) {
+            var parsed = this._parseEventType(eventType),
+                type;
+
+            // Only namespace provided (`.myView`): look for it in every event type
+            if (eventType.charAt(0) === '.') {
+                parsed = {type: null, namespace: eventType.substring(1)};
+            }
+
+            if (parsed.type) {
+                this._removeListeners(parsed.type, fn, context, parsed.namespace);
+            } else {
+                for (type in this._events) {
+                    if (this._events.hasOwnProperty(type)) {
+                        this._removeListeners(type, fn, context, parsed.namespace);
+                    }
+                }
+            }
+            return this;
         },
 
         /**
@@ -1426,7 +4653,10 @@
                 // NOTE: Check the translate(0,0), we do it so when we get narrow width,
                 // The scroll position may not exist anymore
                 // We should be able to calculate the new (x,y) position
-                self._translate(0,0);
+                // (the browser keeps the native scroll position within the new size)
+                if (!self.nativeScroll) {
+                    self._translate(0,0);
+                }
                 self._setSize();
             });
         },
@@ -1448,6 +4678,117 @@
                 });
             }
         },
+        /**
+        * Changes the configuration of the scroller at runtime, without creating a new instance.
+        * Only the provided options change, the rest keep their current values.
+        *
+        * The event listeners are bound again (for options like `bindToWrapper` or `disableWheel`),
+        * the sizes are recalculated and the position is kept (along the scrolling axis if `scroll` changes).
+        * Plugins can react to the changes through the `optionsChanged` event, which receives an object
+        * with the changed options as keys and `{oldValue, newValue}` as values.
+        *
+        * The `SurfaceManager` is plugged or unplugged when needed (`gpuOptimization`).
+        * The options that decide the rest of the plugins (`plugins`, `pullToRefresh` and `pullToLoadMore`)
+        * can only be set when the scroller is created, `setOptions` ignores them (use `plug` and `unplug` instead).
+        *
+        * @params config {Object} Options to change
+        * @method setOptions
+        * @public
+        *
+        * @example
+            scroller.on('optionsChanged', function (changed) {
+                if (changed.scroll) {
+                    console.log('scroll', changed.scroll.oldValue, '->', changed.scroll.newValue);
+                }
+            });
+            scroller.setOptions({scroll: 'horizontal', bindToWrapper: true});
+        */
+        setOptions: function (config) {
+            var previous = this.opts,
+                opts     = this._mergeConfigOptions(previous, this._getRuntimeOptions(config)),
+                enabled  = this.enabled,
+                changed  = {},
+                state, hasChanges, key, pos;
+
+            // The running animation is stopped the way it was started (RAF or CSS transition)
+            this._stopMomentum();
+            state = this.getState();
+
+            // The listeners to remove depend on the current options
+            this._handleEvents('unbind');
+            this._setConfig(opts);
+
+            // `enabled` can be toggled on the instance, keep it unless it is provided
+            if (!('enabled' in config)) {
+                this.enabled = enabled;
+            }
+
+            for (key in this.opts) {
+                if (this.opts.hasOwnProperty(key) && this.opts[key] !== previous[key]) {
+                    changed[key] = {oldValue: previous[key], newValue: this.opts[key]};
+                    hasChanges   = true;
+                }
+            }
+
+            if (changed.scroll || changed.rtl || changed.zoom || changed.keyboard || changed.mode || changed.mouseDragMode) {
+                this.scroller.classList.remove('scroll-' + previous.scroll);
+                this.scroller.classList.remove('scroll-rtl');
+                this.scroller.classList.remove('scroll-select');
+                this._setElementOptions();
+            }
+
+            if (changed.zoom && !this.opts.zoom) {
+                this._setScale(1);
+            }
+
+            if (PLUGINS.SurfaceManager && this._needsSurfaceManager(this.opts) !== this._hasPlugin(PLUGINS.SurfaceManager)) {
+                this[this._needsSurfaceManager(this.opts) ? 'plug' : 'unplug'](PLUGINS.SurfaceManager);
+            }
+
+            this._handleEvents('bind');
+
+            if (!hasChanges) {
+                return;
+            }
+
+            // Keep the offset along the scrolling axis when switching between vertical and horizontal
+            if (changed.scroll && !this.scrollBoth && previous.scroll !== SCROLL_BOTH) {
+                pos     = state.x;
+                state.x = state.y;
+                state.y = pos;
+            }
+
+            this._fire('optionsChanged', changed);
+            this.restoreState(state);
+        },
+        /**
+        * Returns the options that can change at runtime, warning about the ones
+        * that can only be set when the scroller is created (`CREATION_OPTIONS`).
+        *
+        * @params config {Object} Options to change
+        * @method _getRuntimeOptions
+        * @return {Object} The options without the ones that can't change
+        * @private
+        */
+        _getRuntimeOptions: function (config) {
+            var runtime = {},
+                key;
+
+            for (key in config) {
+                if (config.hasOwnProperty(key)) {
+                    if (CREATION_OPTIONS.indexOf(key) === -1) {
+                        runtime[key] = config[key];
+                    } else if (config[key] !== this.opts[key]) {
+                        w.DEBUG.warn(
+                            'The attribute ' + key + ' can only be set when the scroller is created.' +
+                            ' Use plug and unplug instead');
+                    }
+                }
+            }
+
+            return runtime;
+        },
+
         /**
         * Adds a plugin to the scroller.
         *
@@ -1456,6 +4797,10 @@
         *
         * If an `init` method is provided, the scroller automatically calls it to
         * let the plugin initialize, attach custom events, and set the right state.
+        * Plugins added once the scroller is initialized get their `_initialize` listeners called right away.
+        *
+        * The plugin can provide a `destroy` method to clean up after itself when it is removed with `unplug`
+        * (like `init`, it is not merged into the scroller).
         * @params plugin {Function | Object} Plugin to inject into the scroller
         * @method plug
         * @public
@@ -1474,20 +4819,172 @@
             
         **/
         plug: function (plugin) {
-            var ScrollerPlugin = typeof plugin === 'string' ? PLUGINS[plugin] : plugin,
-                protoExtension =  ScrollerPlugin.prototype,
-                whiteList      = ['init'],
+            var ScrollerPlugin = this._resolvePlugin(plugin),
+                protoExtension = ScrollerPlugin.prototype || ScrollerPlugin,
+                name           = getPluginName(ScrollerPlugin),
+                whiteList      = ['init', 'destroy'],
+                plugging       = this._pluggingRecord,
+                record         = {plugin: ScrollerPlugin, name: name, proto: protoExtension, methods: {}, listeners: [], hooks: []},
                 methodName;
+
+            this._checkPluginDependencies(name);
+            this._checkPluginCollisions(name, protoExtension);
                 
             for (methodName in protoExtension) {
                 if (whiteList.indexOf(methodName) === -1) {
+                    // Keep the replaced method (only if it belongs to the instance) to restore it on `unplug`
+                    record.methods[methodName] = this.hasOwnProperty(methodName) ? this[methodName] : undefined;
                     this[methodName] = protoExtension[methodName];
                 }
             }
 
+            this._plugins.push(record);
+
             if (protoExtension.init) {
+                this._pluggingRecord = record;
                 protoExtension.init.call(this);
+                this._pluggingRecord = plugging;
+            }
+
+            // Too late for the `_initialize` event
+            if (this._initialized) {
+                record.listeners.forEach(function (listener) {
+                    if (listener.type === '_initialize' && !listener.payload.removed) {
+                        listener.payload.fn.call(listener.payload.context || this);
+                    }
+                }, this);
+            }
+        },
+
+        /**
+        * Removes a plugin added with `plug` (or through the `plugins` option).
+        *
+        * The plugin `destroy` method is called first (if provided). Then the listeners and hooks
+        * added by the plugin are removed and the methods it replaced are restored,
+        * even if other plugins were plugged after it.
+        *
+        * @params plugin {string|Function|Object} The plugin or its name in `Scroller.plugins`
+        * @method unplug
+        * @public
+        *
+        * @example
+            scroller.plug('ZoomFX');
+            scroller.unplug('ZoomFX');
+        */
+        unplug: function (plugin) {
+            var index = this._getPluginIndex(plugin),
+                record, proto, methodName, type;
+
+            if (index === -1) {
+                return;
+            }
+
+            record = this._plugins[index];
+            proto  = record.proto;
+
+            if (proto.destroy) {
+                proto.destroy.call(this);
+            }
+
+            record.listeners.forEach(function (listener) {
+                var queue = this._events[listener.type],
+                    i     = queue ? queue.indexOf(listener.payload) : -1;
+
+                listener.payload.removed = true;
+                if (i !== -1) {
+                    queue.splice(i, 1);
+                }
+            }, this);
+
+            // Listeners added later on by the methods of the plugin
+            for (methodName in record.methods) {
+                for (type in this._events) {
+                    if (this._events.hasOwnProperty(type)) {
+                        this._removeListeners(type, proto[methodName]);
+                    }
+                }
+            }
+
+            record.hooks.forEach(function (hook) {
+                this._unhook(hook.method, hook.fn);
+            }, this);
+
+            this._plugins.splice(index, 1);
+
+            for (methodName in record.methods) {
+                this._restoreMethod(methodName, proto[methodName], record.methods[methodName]);
+            }
+        },
+
+        /**
+        * Finds the index of a plugged plugin.
+        *
+        * @params plugin {string|Function|Object} The plugin or its name in `Scroller.plugins`
+        * @method _getPluginIndex
+        * @return {integer} The index in the list of plugins or -1
+        * @private
+        */
+        _getPluginIndex: function (plugin) {
+            var ScrollerPlugin = typeof plugin === 'string' ? PLUGINS[plugin] : plugin;
+
+            for (var i = 0; i < this._plugins.length; i++) {
+                if (this._plugins[i].plugin === ScrollerPlugin) {
+                    return i;
+                }
+            }
+            return -1;
+        },
+
+        /**
+        * Checks if a plugin is plugged.
+        *
+        * @params plugin {string|Function|Object} The plugin or its name in `Scroller.plugins`
+        * @method _hasPlugin
+        * @return {boolean}
+        * @private
+        */
+        _hasPlugin: function (plugin) {
+            return this._getPluginIndex(plugin) !== -1;
+        },
+
+        /**
+        * Puts back the method replaced by an unplugged plugin.
+        * If the method was hooked or replaced again by another plugin after it,
+        * the previous method takes its place in the hook or in that plugin's record.
+        *
+        * @params name {string} Name of the method
+        * @params fn {function} The method of the unplugged plugin
+        * @params previous {function} The method it replaced (undefined for the prototype one)
+        * @method _restoreMethod
+        * @private
+        */
+        _restoreMethod: function (name, fn, previous) {
+            var current = this[name],
+                inner   = previous || Scroller.prototype[name];
+
+            if (current === fn) {
+                if (previous) {
+                    this[name] = previous;
+                } else {
+                    delete this[name];
+                }
+            } else if (current && current._hooks && current._method === fn) {
+                if (inner) {
+                    current._method = inner;
+                } else {
+                    delete this[name]; // Nothing left to hook
+                }
             }
+
+            this._plugins.forEach(function (record) {
+                var replaced = record.methods[name];
+
+                if (replaced === fn) {
+                    record.methods[name] = previous;
+                } else if (replaced && replaced._hooks && replaced._method === fn && inner) {
+                    replaced._method = inner;
+                }
+            });
         },
 
         /**
@@ -1514,7 +5011,8 @@
         },
 
         /**
-        * Scroll to the top of the scroller.
+        * Scroll to the top of the scroller
+        * (the logical start, which is the right edge in right-to-left horizontal scrollers).
         *
         * @params [time] {float} ms of the scroll animation
         * @params [easingFn] {function} An easing equation if time is set (default is the `easing` attribute)
@@ -1526,7 +5024,8 @@
         },
 
         /**
-        * Scroll to the bottom of the scroller.
+        * Scroll to the bottom of the scroller
+        * (the logical end, which is the left edge in right-to-left horizontal scrollers).
         *
         * @params [time] {float} ms of the scroll animation
         * @params [easingFn] {function} An easing equation if time is set (default is the `easing` attribute)
@@ -1538,12 +5037,199 @@
                 y = this.maxScrollY;
             if (this.scrollVertical) {
                 x = 0;
-            } else {
+            } else if (!this.scrollBoth) {
                 y = 0;
             }
 
             this.scrollTo(x, y, time, easing);
         },
+
+        /**
+        * Scrolls the minimum needed to bring an element of the scroller into view.
+        *
+        * Options:
+        * - `align`: Where to place the element: `start` (default), `center`, `end` or `nearest`
+        *   (`nearest` does not move the scroller if the element is fully visible).
+        * - `offset`: Extra distance in px from the aligned edge.
+        * - `time`: ms of the scroll animation.
+        * - `easing`: An easing equation if time is set.
+        *
+        * @params el {HTMLElement} An element inside the scroller
+        * @params [options] {Object} Alignment options
+        * @method scrollToElement
+        * @public
+        */
+        scrollToElement: function (el, options) {
+            options || (options = {});
+
+            var scrollerRect = this.scroller.getBoundingClientRect(),
+                elRect       = el.getBoundingClientRect(),
+                // In native mode the content scrolls inside the scroller element
+                scrolledX    = this.nativeScroll ? this.x : 0,
+                scrolledY    = this.nativeScroll ? this.y : 0,
+                // Sizes already include the current zoom scale
+                startX       = (this.rtl ? scrollerRect.right - elRect.right : elRect.left - scrollerRect.left) - scrolledX,
+                startY       = elRect.top - scrollerRect.top - scrolledY,
+                x            = this.x,
+                y            = this.y;
+
+            if (!this.scrollVertical) {
+                x = this._getAlignedPosition(startX, elRect.width, false, options);
+            }
+            if (this.scrollVertical || this.scrollBoth) {
+                y = this._getAlignedPosition(startY, elRect.height, true, options);
+            }
+
+            this.scrollTo(x, y, options.time, options.easing);
+        },
+
+        /**
+        * Scrolls to the item at the given index, with the same options as `scrollToElement`.
+        * The `SurfaceManager` overrides this method since its items are not always in the DOM.
+        *
+        * @params index {integer} Index of the item in the scroller
+        * @params [options] {Object} Alignment options
+        * @method scrollToIndex
+        * @public
+        */
+        scrollToIndex: function (index, options) {
+            var el = this._getItemElement(index);
+            if (el) {
+                this.scrollToElement(el, options);
+            }
+        },
+
+        /**
+        * Returns the DOM element of the item at the given index,
+        * skipping the `PullToRefresh` and `PullToLoadMore` elements.
+        *
+        * @params index {integer} Index of the item
+        * @method _getItemElement
+        * @return {HTMLElement|undefined} The item element
+        * @protected
+        */
+        _getItemElement: function (index) {
+            var el = index >= 0 && this.scroller.children[this.ptrDOM ? index + 1 : index];
+            return el && el !== this.ptlSpacer && el !== this.ptlDOM ? el : undefined;
+        },
+
+        /**
+        * Calculates the scroller position that aligns an item within the wrapper in one axis.
+        *
+        * @params start {float} Offset of the item from the start of the content
+        * @params size {float} Size of the item
+        * @params vertical {boolean} Whether to use the vertical axis
+        * @params options {Object} Alignment options (see `scrollToElement`)
+        * @method _getAlignedPosition
+        * @return {float} The position to scroll to
+        * @protected
+        */
+        _getAlignedPosition: function (start, size, vertical, options) {
+            var wrapperSize = vertical ? this.wrapperHeight : this.wrapperWidth,
+                maxScroll   = vertical ? this.maxScrollY : this.maxScrollX,
+                current     = vertical ? this.y : this.x,
+                offset      = options.offset || 0,
+                align       = options.align || 'start',
+                pos;
+
+            if (align === 'nearest') {
+                if (start + current >= 0 && start + size + current <= wrapperSize) {
+                    return current; // Already visible
+                }
+                align = start + current < 0 || size > wrapperSize ? 'start' : 'end';
+            }
+
+            pos = align === 'end'    ? wrapperSize - start - size - offset
+                : align === 'center' ? (wrapperSize - size) / 2 - start + offset
+                : offset - start;
+
+            if (!this.endless) {
+                pos = Math.min(0, Math.max(pos, maxScroll));
+            }
+
+            return Math.round(pos);
+        },
+
+        /**
+        * Returns a plain (JSON serializable) snapshot of the scroller state,
+        * so the exact viewport can be restored later with `restoreState`
+        * (for example, when the user navigates back to a view).
+        *
+        * The core provides the position and the scale. Plugins add their own state
+        * by listening to the private `_getState` event (for example, the `SurfaceManager`
+        * stores the first visible item index and offset).
+        *
+        * @method getState
+        * @return {Object} The state of the scroller
+        * @public
+        */
+        getState: function () {
+            var state = {
+                x     : this.x,
+                y     : this.y,
+                scale : this.scale
+            };
+
+            this._fire('_getState', state);
+            return state;
+        },
+
+        /**
+        * Restores a state previously returned by `getState`.
+        * The sizes are recalculated first, then plugins restore themselves through the private
+        * `_restoreState` event (they can also adjust the position to restore), and finally
+        * the scroller moves to the saved position, within the current scrollable area.
+        *
+        * @params state {Object} A state returned by `getState`
+        * @method restoreState
+        * @public
+        */
+        restoreState: function (state) {
+            if (!state) {
+                return;
+            }
+
+            state = HELPERS.simpleMerge(state); // Don't modify the provided object
+
+            this._stopMomentum();
+            this._isScrolling = false;
+            this._isAnimating = false;
+
+            if (this.opts.zoom && state.scale) {
+                this.scale = state.scale;
+            }
+
+            this._setSize();
+            this._fire('_restoreState', state);
+
+            this._scrollTo(state.x || 0, state.y || 0, 0);
+            this._resetPosition(0);
+        },
+
+        /**
+        * Zoom the content to a given scale (requires `zoom: true`).
+        * The point {x, y}, relative to the wrapper, stays fixed on the screen.
+        * If no point is provided, the center of the wrapper is used.
+        *
+        * @params scale {float} The scale to zoom to, within the [`zoomMin`, `zoomMax`] range
+        * @params [x] {float} x-coordinate of the zoom center
+        * @params [y] {float} y-coordinate of the zoom center
+        * @params [time] {float} ms of the zoom animation
+        * @method zoomTo
+        * @public
+        */
+        zoomTo: function (scale, x, y, time) {
+            if (!this.opts.zoom) {
+                return;
+            }
+
+            x === undefined && (x = this.wrapperWidth / 2);
+            y === undefined && (y = this.wrapperHeight / 2);
+
+            this._stopMomentum();
+            this._fire('zoomStart', this.scale);
+            this._zoomTo(scale, x, y, time);
+        },
         /**
         * Prepend items to the scroller.
         *
@@ -1588,7 +5274,7 @@
         */
         destroy: function () {
             this._destroy();
-            this._fire('destroy');
+            this._fireScrollEvent('destroy');
         }
     };
 
@@ -34,8 +34,16 @@
 
             this.on('_initialize', this._initializeSurfaceManager);
             this.on('_update', this._updateSurfaceManager);
+            this.on('_getState', this._getStateSurfaceManager);
+            this.on('_restoreState', this._restoreStateSurfaceManager);
+            this.on('optionsChanged', this._optionsChangedSurfaceManager);
+            this.on('scrollEnd', this._anchorSurfaces);
             this.on('destroy', this._destroySurfaceManager);
         },
+        /* Called when the plugin is unplugged: puts the items back in the scroller */
+        destroy: function () {
+            this._destroySurfaceManager();
+        },
         _initializeSurfaceManager: function () {
             this._bootstrapItems();
             this._initializeSurfaces();
@@ -43,6 +51,210 @@
             this._initializePositions();
             this._setInfiniteScrollerSize();
         },
+        _getStateSurfaceManager: function (state) {
+            var surface = this._getFirstVisibleSurface();
+
+            if (surface) {
+                state.itemIndex  = surface.contentIndex;
+                state.itemOffset = surface.offset;
+            }
+        },
+        _restoreStateSurfaceManager: function (state) {
+            if (this._emptyScroller()) {
+                return;
+            }
+
+            // Without an item to start from, keep the current layout (and its scrollable size)
+            if (state.itemIndex === undefined || state.itemIndex >= this._getItemsCount()) {
+                this._setInfiniteScrollerSize();
+                return;
+            }
+
+            this._layoutFromIndex(state.itemIndex, state.itemOffset);
+        },
+        _optionsChangedSurfaceManager: function (changed) {
+            // The surfaces are laid out again on the new axis when the state is restored
+            if (changed.scroll) {
+                this._setActiveOffset();
+            }
+        },
+        /*
+        * Lays out the item at `index` in the given offset and fills the active area around it,
+        * without attaching any of the items in between the old and the new positions.
+        */
+        _layoutFromIndex: function (index, offset) {
+            var windowSize = this.scrollVertical ? this.wrapperHeight : this.wrapperWidth,
+                limit      = offset - windowSize - this.activeOffset,
+                topSurface, surface;
+
+            this._resetSurfaces();
+            this._initializePositions(index, offset);
+
+            topSurface = this._positionedSurfacesFirst();
+
+            while (topSurface && this._itemsLeft('top') && topSurface.offset > limit) {
+                surface = this._positionedSurfacesUnshift();
+                if (surface === topSurface) {
+                    break;
+                }
+                topSurface = surface;
+            }
+
+            this._setInfiniteScrollerSize();
+        },
+        /*
+        * The offsets of items that were not laid out are estimated,
+        * so once the first item is attached we move everything to make it start at 0.
+        * Both the surfaces and the scroller move the same distance so nothing changes on the screen.
+        */
+        _anchorSurfaces: function () {
+            var first = this._positionedSurfacesFirst(),
+                delta;
+
+            if (!first || first.contentIndex !== 0 || !first.offset) {
+                return;
+            }
+
+            delta = first.offset;
+
+            this.surfacesPositioned.forEach(function (surface) {
+                this._positionSurface(surface, surface.offset - delta);
+            }, this);
+
+            if (this.scrollVertical) {
+                this._translate(this.x, this.y + delta);
+            } else {
+                this._translate(this.x + delta, this.y);
+            }
+
+            this._setInfiniteScrollerSize();
+        },
+        /*
+        * With `autoRefresh` only the surfaces that changed (or that contain an element that changed)
+        * are measured again, and the ones after them move by the difference.
+        * If they are before the visible area the scroller moves too, so nothing moves on the screen.
+        */
+        _autoRefresh: function (elements) {
+            var vertical = this.scrollVertical,
+                visible  = -this._getPosition().pos,
+                delta    = 0,
+                anchor   = 0;
+
+            if (elements.indexOf(this.wrapper) !== -1) {
+                this._setWrapperSize();
+                this._setActiveOffset();
+            }
+
+            this.surfacesPositioned.forEach(function (surface) {
+                var oldSize = vertical ? surface.height : surface.width,
+                    oldEnd  = surface.offset + oldSize,
+                    size;
+
+                if (delta) {
+                    this._positionSurface(surface, surface.offset + delta);
+                }
+
+                if (!this._containsAny(surface.dom, elements)) {
+                    return;
+                }
+
+                size = vertical ? surface.dom.offsetHeight : surface.dom.offsetWidth;
+                surface.height = surface.dom.offsetHeight;
+                surface.width  = surface.dom.offsetWidth;
+
+                if (oldEnd <= visible) {
+                    anchor += size - oldSize;
+                }
+                delta += size - oldSize;
+            }, this);
+
+            if (anchor) {
+                if (vertical) {
+                    this._translate(this.x, this.y - anchor);
+                } else {
+                    this._translate(this.x - anchor, this.y);
+                }
+            }
+
+            this._setInfiniteScrollerSize();
+
+            // The surfaces that shrank can leave a gap at the end of the active area
+            if (delta < 0) {
+                this._fillSurfaces();
+            }
+        },
+        /*
+        * Attaches the items that fit at the end of the active area, wherever the scroller is
+        * (`_updateSurfaceManager` only does it along the direction of the gesture).
+        */
+        _fillSurfaces: function () {
+            if (this._emptyScroller()) {
+                return;
+            }
+
+            var current          = this._getPosition(),
+                boundaries       = this._getBoundaries(current.pos, current.size),
+                bottomSurface    = this._positionedSurfacesLast(),
+                bottomSurfaceEnd = this._getSurfaceTotalOffset(bottomSurface),
+                surface;
+
+            while (this._itemsLeft('bottom') && bottomSurfaceEnd < boundaries.bottom) {
+                surface = this._positionedSurfacesPush();
+                if (surface === bottomSurface) {
+                    break;
+                }
+                bottomSurface    = surface;
+                bottomSurfaceEnd = this._getSurfaceTotalOffset(bottomSurface);
+            }
+
+            this._setInfiniteScrollerSize();
+        },
+        _containsAny: function (dom, elements) {
+            for (var i = 0; i < elements.length; i++) {
+                if (dom === elements[i] || dom.contains(elements[i])) {
+                    return true;
+                }
+            }
+            return false;
+        },
+        _getPositionedSurface: function (index) {
+            var positioned = this.surfacesPositioned;
+
+            for (var i = 0; i < positioned.length; i++) {
+                if (positioned[i].contentIndex === index) {
+                    return positioned[i];
+                }
+            }
+        },
+        _estimateItemOffset: function (index) {
+            var first   = this._positionedSurfacesFirst(),
+                last    = this._positionedSurfacesLast(),
+                lastEnd = this._getSurfaceTotalOffset(last),
+                average = Math.round((lastEnd - first.offset) / this.surfacesPositioned.length);
+
+            if (index > last.contentIndex) {
+                return lastEnd + (index - last.contentIndex - 1) * average;
+            } else {
+                return Math.max(0, first.offset - (first.contentIndex - index) * average);
+            }
+        },
+        _getItemsCount: function () {
+            return this.opts.pullToLoadMore ? this.items.length - 1 : this.items.length;
+        },
+        _getFirstVisibleSurface: function () {
+            var positioned = this.surfacesPositioned,
+                pos        = -this._getPosition().pos,
+                surface, i;
+
+            for (i = 0; i < positioned.length; i++) {
+                surface = positioned[i];
+                if (this._getSurfaceTotalOffset(surface) > pos) {
+                    return surface;
+                }
+            }
+
+            return this._positionedSurfacesLast();
+        },
         _destroySurfaceManager: function () {
             var docfrag = w.document.createDocumentFragment();
 
@@ -74,15 +286,15 @@
         _setActiveOffset: function () {
             this.activeOffset = 0.9 * (this.scrollVertical ? this.wrapperHeight: this.wrapperWidth);
         },
-        _initializePositions: function () {
+        _initializePositions: function (startIndex, startOffset) {
             var items         = this.items,
                 windowSize    = this.scrollVertical ? this.wrapperHeight : this.wrapperWidth,
                 positioned    = this.surfacesPositioned,
                 itemsSize     = items.length,
                 sizeNotCover  = true,
-                sizeNeeded    = windowSize + 2 * this.activeOffset,
-                heightSum     = 0,
-                i = 0,
+                heightSum     = startOffset || 0,
+                sizeNeeded    = heightSum + windowSize + 2 * this.activeOffset,
+                i = startIndex || 0,
                 item, surface, height;
 
             for (; i < itemsSize && sizeNotCover; i++) {
@@ -90,7 +302,7 @@
                 surface       = this._getAvailableSurface();
                 heightSum     += this._attachItemInSurface(item, surface, {index: i, offset: heightSum});
                 sizeNotCover  = heightSum < sizeNeeded;
-                positioned[i] = surface;
+                positioned.push(surface);
             }
         },
         
@@ -159,17 +371,24 @@
                 offsetX = config.preCalculateSize ?  offset - width : offset;
             }
             
-            surface.dom.style[STYLES.transform] = 'matrix3d(1,0,0,0,0,1,0,0,0,0,1,0,' + offsetX +',' + offsetY + ', 0, 1)';
-
             surface.state       = 1;
             surface.contentIndex = index;
             surface.content      = item;
             surface.height       = height;
             surface.width        = width;
-            surface.offset       = offsetY || offsetX;
+
+            this._positionSurface(surface, offsetY || offsetX);
 
             return this.scrollVertical ? height : width;
         },
+        _positionSurface: function (surface, offset) {
+            var offsetX = this.scrollVertical ? 0 : offset,
+                offsetY = this.scrollVertical ? offset : 0;
+
+            // Right-to-left surfaces are anchored to the right edge and grow to the left
+            surface.dom.style[STYLES.transform] = 'matrix3d(1,0,0,0,0,1,0,0,0,0,1,0,' + (this.rtl ? -offsetX : offsetX) +',' + offsetY + ', 0, 1)';
+            surface.offset = offset;
+        },
         _dettachItemInSurface: function (surface) {
             surface.state        = 0;
             surface.contentIndex = null;
@@ -213,7 +432,7 @@
 
         },
         _emptyScroller: function () {
-            return !(this.opts.pullToLoadMore ? this.items.length - 1 : this.items.length);
+            return !this._getItemsCount();
         },
         _initializeSurfaces: function () {
             var items       = this.items,
@@ -552,6 +771,36 @@
                 this._updateSurfaceManager();
             }
         },
+        /*
+        * If the item is not attached to a surface we lay it out (and its neighbors) on an estimated offset
+        * and jump there, since the content in between is not laid out there is nothing to animate.
+        */
+        scrollToIndex: function (index, options) {
+            var surface, vertical, pos;
+
+            if (index < 0 || index >= this._getItemsCount()) {
+                return;
+            }
+
+            options  = HELPERS.simpleMerge(options);
+            vertical = this.scrollVertical;
+            surface  = this._getPositionedSurface(index);
+
+            if (!surface) {
+                this._stopMomentum();
+                this._layoutFromIndex(index, this._estimateItemOffset(index));
+                surface = this._getPositionedSurface(index);
+                options.time = 0;
+            }
+
+            pos = this._getAlignedPosition(surface.offset, vertical ? surface.height : surface.width, vertical, options);
+
+            if (vertical) {
+                this.scrollTo(this.x, pos, options.time, options.easing);
+            } else {
+                this.scrollTo(pos, this.y, options.time, options.easing);
+            }
+        }
     };   
 
     SCROLLER.SurfaceManager = PLUGINS.SurfaceManager = SurfaceManager;
@@ -45,6 +45,7 @@
 
         supportTransition = false,
         supportTransform  = false,
+        supportPassive    = false,
         property, prefix, i;
 
     // TRANSITION SUPPORT
@@ -74,14 +75,25 @@
         }
     }
 
+    // PASSIVE LISTENERS SUPPORT (the options object is read only where it is supported)
+    try {
+        w.addEventListener('test', null, Object.defineProperty({}, 'passive', {
+            get: function () { supportPassive = true; }
+        }));
+    } catch (e) {}
+
     SCROLLER.support = {
         prefix     : prefix,
         transition : supportTransition,
         transform  : supportTransform,
         matrix     : !!(w.WebKitCSSMatrix || w.MSCSSMatrix),
         touch      : 'ontouchstart' in w,
-        pointers   : w.navigator.pointerEnabled,
-        msPointers : w.navigator.msPointerEnabled
+        pointers   : !!(w.PointerEvent || w.navigator.pointerEnabled),
+        msPointers : w.navigator.msPointerEnabled,
+        touchAction   : 'touchAction' in DOCUMENT_STYLE,
+        passiveEvents : supportPassive,
+        resizeObserver   : 'ResizeObserver' in w,
+        mutationObserver : 'MutationObserver' in w
     };
 
 }(window));
\ No newline at end of file
@@ -44,11 +44,22 @@
                     }
                 }
             },
-            bind: function (el, type, fn, capture) {
-                el.addEventListener(type, fn, !!capture);
+            bind: function (el, type, fn, capture, passive) {
+                var support = SCROLLER.support;
+                el.addEventListener(type, fn, support && support.passiveEvents ? {capture: !!capture, passive: !!passive} : !!capture);
             },
             unbind: function (el, type, fn, capture) {
                 el.removeEventListener(type, fn, !!capture);
+            },
+            closest: function (el, selector, root) {
+                var matches;
+                for (; el && el !== root && el.nodeType === 1; el = el.parentNode) {
+                    matches = el.matches || el.msMatchesSelector || el.webkitMatchesSelector;
+                    if (matches.call(el, selector)) {
+                        return el;
+                    }
+                }
+                return null;
             }
         };
     SCROLLER.helpers = HELPERS;
@@ -0,0 +1,473 @@
+/*
+ * Copyright (C) 2013 salesforce.com, inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *         http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function (w) {
+    'use strict';
+
+    var SCROLLER = w.__S || (w.__S = {}),
+        SUPPORT  = SCROLLER.support,
+        HELPERS  = SCROLLER.helpers,
+        NOW      = Date.now || function () { return new Date().getTime(); },
+
+        POINTER_TOUCH = 'touch',
+        POINTER_MOUSE = 'mouse',
+        POINTER_PEN   = 'pen',
+
+        /**
+        * DOM events of every source: the start event is listened on the element,
+        * the rest on the target (the element or the window) only while there are pointers down.
+        */
+        SOURCES = {
+            pointer   : ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'lostpointercapture'],
+            msPointer : ['MSPointerDown', 'MSPointerMove', 'MSPointerUp', 'MSPointerCancel', 'MSLostPointerCapture'],
+            touch     : ['touchstart', 'touchmove', 'touchend', 'touchcancel'],
+            mouse     : ['mousedown', 'mousemove', 'mouseup']
+        },
+
+        /**
+        * Maps the DOM events to their source (built from `SOURCES`).
+        */
+        SOURCE_OF = {},
+
+        /**
+        * Maps the DOM events to the phases of the gesture.
+        * Losing the pointer capture before the pointer goes up cancels its gesture.
+        */
+        PHASES = {
+            pointerdown          : 'start',
+            pointermove          : 'move',
+            pointerup            : 'end',
+            pointercancel        : 'cancel',
+            lostpointercapture   : 'cancel',
+            MSPointerDown        : 'start',
+            MSPointerMove        : 'move',
+            MSPointerUp          : 'end',
+            MSPointerCancel      : 'cancel',
+            MSLostPointerCapture : 'cancel',
+            touchstart           : 'start',
+            touchmove            : 'move',
+            touchend             : 'end',
+            touchcancel          : 'cancel',
+            mousedown            : 'start',
+            mousemove            : 'move',
+            mouseup              : 'end'
+        },
+
+        /**
+        * `pointerType` values of the MS-prefixed pointer events.
+        */
+        MS_POINTER_TYPES = {
+            2 : POINTER_TOUCH,
+            3 : POINTER_PEN,
+            4 : POINTER_MOUSE
+        },
+
+        /**
+        * Specifies for how many ms after a touch the mouse events are ignored
+        * (browsers emulate them after the touches).
+        *
+        * @property COMPAT_MOUSE_TIME
+        * @type {integer}
+        * @static
+        * @default "800"
+        */
+        COMPAT_MOUSE_TIME = 800,
+
+        DEFAULTS = {
+            target        : null,  // null: the element
+            pointerEvents : true,  // false: use touch and mouse events even if pointer events are supported
+            types         : null,  // {touch, mouse, pen}: false ignores that type of pointer
+            passive       : null   // {start, move, end}: true listens to the events of that phase as passive
+        },
+
+        source, i;
+
+    for (source in SOURCES) {
+        for (i = 0; i < SOURCES[source].length; i++) {
+            SOURCE_OF[SOURCES[source][i]] = source;
+        }
+    }
+
+    /**
+    * Normalized event of the input layer. Every source (touch, mouse, pointer
+    * and MS-prefixed pointer events) is turned into the same kind of event.
+    *
+    * @class InputEvent
+    * @param type {string} Phase of the gesture: `start`, `move`, `end` or `cancel`
+    * @param pointerType {string} `touch`, `mouse` or `pen`
+    * @param pointers {Array} The pointers that changed, as `{id, pageX, pageY, clientX, clientY, screenX, screenY}`
+    * @param srcEvent {event} The DOM event provided by the browser
+    * @constructor
+    */
+    function InputEvent(type, pointerType, pointers, srcEvent) {
+        this.type            = type;
+        this.pointerType     = pointerType;
+        this.changedPointers = pointers;
+        this.srcEvent        = srcEvent;
+        this.target          = srcEvent.target;
+        this.cancelable      = srcEvent.cancelable;
+        this.timeStamp       = NOW();
+        this.isFirst         = false; // Whether the start event begins a new interaction
+        this.pointerCount    = 0;     // Pointers of the input still down after the event
+        this.passive         = false; // Whether it comes from a passive listener
+    }
+
+    /**
+    * Prevents the default action of the DOM event
+    * (nothing to prevent when it comes from a passive listener).
+    *
+    * @method preventDefault
+    */
+    InputEvent.prototype.preventDefault = function () {
+        if (!this.passive) {
+            this.srcEvent.preventDefault();
+        }
+    };
+
+    /**
+    * Stops the propagation of the DOM event.
+    *
+    * @method stopPropagation
+    */
+    InputEvent.prototype.stopPropagation = function () {
+        this.srcEvent.stopPropagation();
+    };
+
+    /**
+    * Input layer that turns the touch, mouse and pointer events that start on an element
+    * into a single stream of `InputEvent` for a handler (`handler.handleInput(e)`).
+    *
+    * Touches come from the touch events where they are supported (they can be prevented while moving,
+    * unlike touch pointers), pens and mice from the pointer events, or from the mouse events otherwise.
+    * The mouse events that browsers emulate after a touch are ignored.
+    *
+    * The move and end events are only listened while there are pointers down (the start event is always
+    * listened on the element), so the rest of the page doesn't pay for blocking listeners.
+    *
+    * @class Input
+    * @param el {HTMLElement} Element where the gestures start
+    * @param handler {Object} Object with a `handleInput` method that receives the input events
+    * @param [options] {Object} `target` for the rest of the gesture events, `pointerEvents`
+    * to use the pointer events when supported, the `types` of pointers (`{touch, mouse, pen}`)
+    * and the `passive` phases (`{start, move, end}`) whose default is never prevented
+    * @constructor
+    */
+    function Input(el, handler, options) {
+        this.el      = el;
+        this.handler = handler;
+        this.opts    = HELPERS.simpleMerge(DEFAULTS, options);
+        this.target  = this.opts.target || el;
+        this.types   = this.opts.types || {};
+        this.passive = this.opts.passive || {};
+
+        this._down       = {};
+        this._downCount  = {};
+        this._bound      = {};
+        this._lastTouch  = 0;
+        this._sources    = this._getSources();
+
+        this._handleEvents(HELPERS.bind);
+    }
+
+    Input.prototype = {
+        /**
+        * Selects the DOM events to listen to, based on the browser support and the options.
+        *
+        * @method _getSources
+        * @return {Array} Names of the sources in `SOURCES`
+        * @private
+        */
+        _getSources: function () {
+            var sources  = [],
+                pointers = this.opts.pointerEvents && (SUPPORT.pointers || SUPPORT.msPointers);
+
+            if (SUPPORT.touch && this.accepts(POINTER_TOUCH)) {
+                sources.push('touch');
+            }
+
+            if (pointers) {
+                sources.push(SUPPORT.pointers ? 'pointer' : 'msPointer');
+            } else if (this.accepts(POINTER_MOUSE) || this.accepts(POINTER_PEN)) {
+                sources.push('mouse');
+            }
+
+            return sources;
+        },
+
+        /**
+        * Add or remove the start listeners of the selected sources.
+        * The listeners of the gestures in progress are removed too.
+        *
+        * @params eventType {function} `HELPERS.bind` or `HELPERS.unbind`
+        * @method _handleEvents
+        * @private
+        */
+        _handleEvents: function (eventType) {
+            var i, source;
+
+            for (i = 0; i < this._sources.length; i++) {
+                source = this._sources[i];
+                eventType(this.el, SOURCES[source][0], this, false, this._isPassive('start'));
+
+                if (eventType === HELPERS.unbind && this._bound[source]) {
+                    this._handleGestureEvents(source, eventType);
+                }
+            }
+        },
+
+        /**
+        * Add or remove the move and end listeners of a source, for the duration of its gestures.
+        *
+        * @params source {string} Name of the source in `SOURCES`
+        * @params eventType {function} `HELPERS.bind` or `HELPERS.unbind`
+        * @method _handleGestureEvents
+        * @private
+        */
+        _handleGestureEvents: function (source, eventType) {
+            var events = SOURCES[source],
+                i;
+
+            for (i = 1; i < events.length; i++) {
+                eventType(this.target, events[i], this, false, this._isPassive(PHASES[events[i]]));
+            }
+
+            this._bound[source] = eventType === HELPERS.bind;
+        },
+
+        /**
+        * Whether the events of a phase are listened as passive (`passive` option).
+        * The cancel events go with the end ones.
+        *
+        * @params phase {string} Phase of the gesture
+        * @method _isPassive
+        * @return {boolean} Whether the listener is passive
+        * @private
+        */
+        _isPassive: function (phase) {
+            return !!this.passive[phase === 'cancel' ? 'end' : phase];
+        },
+
+        /**
+        * Whether the pointers of a given type are handled (`types` option).
+        *
+        * @params pointerType {string} `touch`, `mouse` or `pen`
+        * @method accepts
+        * @return {boolean} Whether the pointer type is handled
+        * @public
+        */
+        accepts: function (pointerType) {
+            return this.types[pointerType] !== false;
+        },
+
+        /**
+        * Handler to dispatch all of the DOM events the input listens to.
+        *
+        * @params e {event} The event provided by the browser
+        * @method handleEvent
+        * @private
+        */
+        handleEvent: function (e) {
+            var phase       = PHASES[e.type],
+                source      = SOURCE_OF[e.type],
+                pointerType = Input.getPointerType(e),
+                touches     = !!e.changedTouches,
+                pointers    = Input.getPointers(e),
+                isFirst     = phase === 'start' && (touches ? e.touches.length === pointers.length : e.isPrimary !== false),
+                input;
+
+            // Touches are handled by the touch events, and the mice emulated after them are ignored
+            if (!touches && pointerType === POINTER_TOUCH && this._sources[0] === 'touch') {
+                return;
+            }
+            if (e.type.indexOf('mouse') === 0 && NOW() - this._lastTouch < COMPAT_MOUSE_TIME) {
+                return;
+            }
+            if (touches) {
+                this._lastTouch = NOW();
+            }
+
+            if (!this.accepts(pointerType) || (phase === 'start' && pointerType === POINTER_MOUSE && e.button)) {
+                return;
+            }
+
+            pointers = this._updateDown(phase, pointerType, source, pointers, isFirst);
+
+            if (!pointers.length) {
+                return;
+            }
+
+            // The rest of the gesture is listened only while there are pointers down
+            if (!this._bound[source] !== !this._downCount[source]) {
+                this._handleGestureEvents(source, this._downCount[source] ? HELPERS.bind : HELPERS.unbind);
+            }
+
+            input              = new InputEvent(phase, pointerType, pointers, e);
+            input.isFirst      = isFirst;
+            input.pointerCount = this._downCount[pointerType];
+            input.passive      = this._isPassive(phase);
+
+            this.handler.handleInput(input);
+        },
+
+        /**
+        * Keeps the list of pointers that are down and filters out the ones that aren't:
+        * moves of a hovering mouse, or the end of a gesture that started somewhere else.
+        * A new interaction discards the pointers of the same type whose end we never got.
+        * The pointers down are counted by type and by source.
+        *
+        * @params phase {string} Phase of the gesture
+        * @params pointerType {string} `touch`, `mouse` or `pen`
+        * @params source {string} Name of the source in `SOURCES`
+        * @params pointers {Array} The pointers that changed
+        * @params isFirst {boolean} Whether the start event begins a new interaction
+        * @method _updateDown
+        * @return {Array} The pointers of the gesture
+        * @private
+        */
+        _updateDown: function (phase, pointerType, source, pointers, isFirst) {
+            var down  = this._down,
+                count = this._downCount,
+                kept  = [],
+                key, i;
+
+            for (key in down) {
+                if (isFirst && down[key].pointerType === pointerType && down[key].source === source) {
+                    delete down[key];
+                }
+            }
+
+            for (i = 0; i < pointers.length; i++) {
+                key = pointerType + pointers[i].id;
+
+                if (phase === 'start') {
+                    down[key] = {pointerType: pointerType, source: source};
+                } else if (!down[key]) {
+                    continue;
+                } else if (phase !== 'move') {
+                    delete down[key];
+                }
+                kept.push(pointers[i]);
+            }
+
+            count[pointerType] = count[source] = 0;
+            for (key in down) {
+                count[down[key].pointerType] = (count[down[key].pointerType] || 0) + 1;
+                count[down[key].source]      = (count[down[key].source] || 0) + 1;
+            }
+
+            return kept;
+        },
+
+        /**
+        * Captures the pointers of an input event on the element, so the rest of the gesture
+        * (even outside of the window) is delivered to it. Touches are always captured by the browser.
+        *
+        * @params e {InputEvent} The input event with the pointers to capture
+        * @method capture
+        * @public
+        */
+        capture: function (e) {
+            var el       = this.el,
+                src      = e.srcEvent,
+                pointers = e.changedPointers,
+                i;
+
+            if (src.pointerId === undefined) {
+                return;
+            }
+
+            for (i = 0; i < pointers.length; i++) {
+                try {
+                    if (el.setPointerCapture) {
+                        el.setPointerCapture(pointers[i].id);
+                    } else if (el.msSetPointerCapture) {
+                        el.msSetPointerCapture(pointers[i].id);
+                    }
+                } catch (err) {
+                    // The pointer is not active anymore
+                }
+            }
+        },
+
+        /**
+        * Removes all the listeners.
+        *
+        * @method destroy
+        * @public
+        */
+        destroy: function () {
+            this._handleEvents(HELPERS.unbind);
+            this._down      = {};
+            this._downCount = {};
+        }
+    };
+
+    /**
+    * Returns the type of pointer of a DOM gesture event: `touch`, `mouse` or `pen`.
+    *
+    * @params e {event} The gesture event provided by the browser
+    * @method getPointerType
+    * @return {string} The type of pointer
+    * @static
+    */
+    Input.getPointerType = function (e) {
+        if (e.changedTouches) {
+            return POINTER_TOUCH;
+        }
+        if (typeof e.pointerType === 'number') {
+            return MS_POINTER_TYPES[e.pointerType] || POINTER_MOUSE;
+        }
+        return e.pointerType || POINTER_MOUSE;
+    };
+
+    /**
+    * Returns the pointers that changed in a DOM gesture event, normalized as
+    * `{id, pageX, pageY, clientX, clientY, screenX, screenY}`.
+    * Touches are identified by `identifier`, pointer events by `pointerId`, and the mouse is a single pointer.
+    *
+    * @params e {event} The gesture event provided by the browser
+    * @method getPointers
+    * @return {Array} The changed pointers
+    * @static
+    */
+    Input.getPointers = function (e) {
+        var touches  = e.changedTouches,
+            pointers = [],
+            i;
+
+        function pointer(id, p) {
+            return {id: id, pageX: p.pageX, pageY: p.pageY, clientX: p.clientX, clientY: p.clientY, screenX: p.screenX, screenY: p.screenY};
+        }
+
+        if (touches) {
+            for (i = 0; i < touches.length; i++) {
+                pointers.push(pointer(touches[i].identifier, touches[i]));
+            }
+        } else {
+            pointers.push(pointer(e.pointerId !== undefined ? e.pointerId : POINTER_MOUSE, e));
+        }
+
+        return pointers;
+    };
+
+    Input.POINTER_TOUCH     = POINTER_TOUCH;
+    Input.POINTER_MOUSE     = POINTER_MOUSE;
+    Input.POINTER_PEN       = POINTER_PEN;
+    Input.COMPAT_MOUSE_TIME = COMPAT_MOUSE_TIME;
+    Input.InputEvent        = InputEvent;
+
+    SCROLLER.Input = Input;
+
+}(window));
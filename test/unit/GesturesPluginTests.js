@@ -0,0 +1,177 @@
+Function.RegisterNamespace("Test.Scroller");
+[Import("NeededMocks.js")]
+
+[Fixture]
+Test.Scroller.GesturesPluginTests=function(){
+
+	var windowMock=Test.Scroller.NeededMocks.getWindowMock();
+	windowMock(function(){
+		window.__S.plugins={};
+		Import("/Users/ndandekar/scroller/src/utils/helpers.js");
+		Import("/Users/ndandekar/scroller/src/plugins/gestures-plugin.js");
+	});
+
+	function getGestures(fired,options){
+		var gestures;
+
+		windowMock(function(){
+			gestures=new window.__S.plugins.Gestures();
+		});
+
+		gestures.enabled=true;
+		// The mocked setTimeout runs right away: the long-press fires as soon as the pointer is down
+		gestures.opts={gestures:options||{longPress:false}};
+		gestures._isIgnoredTarget=function(){return false;};
+		gestures._mergeConfigOptions=function(cfg,toMerge){
+			return window.__S.helpers.simpleMerge(cfg,toMerge);
+		};
+		gestures._cancelGesture=function(){
+			fired.push('cancelGesture');
+		};
+		gestures._fire=function(type){
+			fired.push(type+(type==='swipe'?':'+arguments[1]:''));
+		};
+
+		return gestures;
+	}
+
+	function input(type,x,y){
+		return {type:type,isFirst:type==='start',target:{},srcEvent:{},changedPointers:[{id:1,pageX:x,pageY:y}]};
+	}
+
+	[Fixture]
+	function RecognizeGestures(){
+
+		[Fact]
+		function RecognizesTapsAndDoubleTaps(){
+			var fired=[],
+				gestures=getGestures(fired);
+
+			windowMock(function(){
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._recognizeGesture(input('end',10,10));
+				gestures._recognizeGesture(input('start',12,12));
+				gestures._recognizeGesture(input('end',12,12));
+			});
+
+			Assert.Equal(['tap','tap','doubleTap'],fired);
+		}
+
+		[Fact]
+		function RecognizesSwipes(){
+			var fired=[],
+				gestures=getGestures(fired);
+
+			windowMock(function(){
+				gestures._recognizeGesture(input('start',100,10));
+				gestures._recognizeGesture(input('move',60,12));
+				gestures._recognizeGesture(input('end',20,14));
+			});
+
+			Assert.Equal(['swipe:left'],fired);
+		}
+
+		[Fact]
+		function LongPressesCancelTheScroll(){
+			var fired=[],
+				gestures=getGestures(fired,{});
+
+			windowMock(function(){
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._recognizeGesture(input('move',10,60));
+				gestures._recognizeGesture(input('end',10,60));
+			});
+
+			Assert.Equal(['cancelGesture','longPress'],fired);
+		}
+
+		[Fact]
+		function TapsWithinTheTimeAndDistanceOnly(){
+			var fired=[],
+				gestures=getGestures(fired);
+
+			windowMock(function(){
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._recognizeGesture(input('end',25,10));
+
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._gesture.time-=1000;
+				gestures._recognizeGesture(input('end',10,10));
+
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._recognizeGesture(input('end',18,10));
+			});
+
+			Assert.Equal(['tap'],fired);
+		}
+
+		[Fact]
+		function SwipesPastTheDistanceAndVelocityOnly(){
+			var fired=[],
+				gestures=getGestures(fired);
+
+			windowMock(function(){
+				gestures._recognizeGesture(input('start',100,10));
+				gestures._recognizeGesture(input('end',75,10));
+
+				gestures._recognizeGesture(input('start',100,10));
+				gestures._gesture.samples[0].time-=1000;
+				gestures._recognizeGesture(input('end',20,10));
+			});
+
+			Assert.Equal([],fired);
+		}
+
+		[Fact]
+		function DoubleTapsOnlyPairConsecutiveTaps(){
+			var fired=[],
+				gestures=getGestures(fired);
+
+			windowMock(function(){
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._recognizeGesture(input('end',10,10));
+
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._gesture.time-=1000;
+				gestures._recognizeGesture(input('end',10,10));
+
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._recognizeGesture(input('end',10,10));
+			});
+
+			Assert.Equal(['tap','tap'],fired);
+		}
+
+		[Fact]
+		function SkipsTheRecognizersSetToFalse(){
+			var fired=[],
+				gestures=getGestures(fired,{tap:false,doubleTap:false,longPress:false,swipe:false});
+
+			windowMock(function(){
+				gestures._recognizeGesture(input('start',10,10));
+				gestures._recognizeGesture(input('end',10,10));
+				gestures._recognizeGesture(input('start',100,10));
+				gestures._recognizeGesture(input('end',20,10));
+			});
+
+			Assert.Equal([],fired);
+		}
+
+		[Fact]
+		function LeavesTheTapsToTheScrollerWithoutTheTapRecognizer(){
+			var fired=[],
+				recognizing=getGestures(fired),
+				gestures=getGestures(fired,{tap:false});
+
+			windowMock(function(){
+				window.__S.constructor={prototype:{_fireTap:function(){
+					fired.push('core tap');
+				}}};
+				recognizing._fireTap({},input('end',10,10));
+				gestures._fireTap({},input('end',10,10));
+			});
+
+			Assert.Equal(['core tap'],fired);
+		}
+	}
+}
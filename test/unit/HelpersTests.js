@@ -55,4 +55,25 @@ Test.Scroller.Helpers=function(){
 			Assert.Equal(expected,actual);
 		}
 	}
+
+	[Fixture]
+	function FindsTheClosestElement(){
+
+		[Fact]
+		function StopsAtTheRoot(){
+			var root={nodeType:1,matches:function(){return true;}},
+				input={nodeType:1,matches:function(selector){return selector==='input';},parentNode:root},
+				span={nodeType:1,matches:function(){return false;},parentNode:input},
+				actual;
+
+			windowMock(function(){
+				actual=[
+					window.__S.helpers.closest(span,'input',root),
+					window.__S.helpers.closest(span,'div',root)
+				];
+			});
+
+			Assert.Equal([input,null],actual);
+		}
+	}
 }
\ No newline at end of file
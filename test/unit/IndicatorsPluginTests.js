@@ -23,6 +23,7 @@ Test.Scroller.IndicatorsPluginTests=function(){
 		window.__S.plugins={};
 		window.__S.styles={transform:'',transformDuration:'',transitionTimingFunction:''};
 		Import("/Users/chethana.paniyadi/scroller/src/utils/helpers.js");
+		Import("/Users/chethana.paniyadi/scroller/src/utils/input.js");
 		Import("/Users/chethana.paniyadi/scroller/src/indicators-plugin.js");
 	});
 
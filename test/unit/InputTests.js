@@ -0,0 +1,82 @@
+Function.RegisterNamespace("Test.Scroller");
+[Import("NeededMocks.js")]
+
+[Fixture]
+Test.Scroller.Input=function(){
+
+	var windowMock=Test.Scroller.NeededMocks.getWindowMock();
+
+	windowMock(function(){
+		Import("/Users/ndandekar/scroller/src/utils/helpers.js");
+		Import("/Users/ndandekar/scroller/src/utils/input.js");
+	});
+
+	function getInput(options,received){
+		var input;
+
+		windowMock(function(){
+			input=new window.__S.Input(Test.Scroller.Dom.GetNode(),{
+				handleInput:function(e){
+					received.push(e.type+':'+e.pointerType);
+				}
+			},options);
+		});
+
+		return input;
+	}
+
+	function mouse(type){
+		return {type:type,button:0,pageX:0,pageY:0};
+	}
+
+	[Fixture]
+	function NormalizesThePointers(){
+
+		[Fact]
+		function IgnoresMovesOfPointersThatAreNotDown(){
+			var received=[],
+				input=getInput(null,received);
+
+			input.handleEvent(mouse('mousemove'));
+			input.handleEvent(mouse('mousedown'));
+			input.handleEvent(mouse('mousemove'));
+			input.handleEvent(mouse('mouseup'));
+			input.handleEvent(mouse('mousemove'));
+
+			Assert.Equal(['start:mouse','move:mouse','end:mouse'],received);
+		}
+
+		[Fact]
+		function IgnoresDisabledPointerTypes(){
+			var received=[],
+				input=getInput({types:{mouse:false}},received);
+
+			input.handleEvent({type:'pointerdown',pointerType:'mouse',pointerId:1,button:0});
+			input.handleEvent({type:'pointerdown',pointerType:'pen',pointerId:2,button:0});
+
+			Assert.Equal(['start:pen'],received);
+		}
+
+		[Fact]
+		function ListensToTheMovesOnlyDuringAGesture(){
+			var listened=[],
+				target={
+					addEventListener:function(type){
+						listened.push(type);
+					},
+					removeEventListener:function(type){
+						listened.splice(listened.indexOf(type),1);
+					}
+				},
+				input=getInput({target:target},[]),
+				duringGesture;
+
+			input.handleEvent(mouse('mousedown'));
+			duringGesture=listened.slice();
+			input.handleEvent(mouse('mouseup'));
+
+			Assert.Equal(['mousemove','mouseup'],duringGesture);
+			Assert.Equal([],listened);
+		}
+	}
+}
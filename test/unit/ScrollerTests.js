@@ -9,6 +9,7 @@ Test.Scroller.ScrollerTest=function(){
 	windowMock(function(){
 		window.__S.styles={transform:''};
 		Import("/Users/ndandekar/scroller/src/utils/helpers.js");
+		Import("/Users/ndandekar/scroller/src/utils/input.js");
 		Import("/Users/ndandekar/scroller/src/utils/cubic-bezier.js");
 		Import("/Users/ndandekar/scroller/src/endless-plugin.js");
 		Import("/Users/ndandekar/scroller/src/scroller.js");
@@ -161,6 +162,205 @@ Test.Scroller.ScrollerTest=function(){
 
 			Assert.Equal(expectedException,actualException);
 		}
+
+		[Fact]
+		function ScrollBothKeepsBothCoordinates(){
+			var scroller=getScrollerInstance({scroll:'both'});
+			scroller.hasScrollX=true;
+			scroller.hasScrollY=true;
+
+			scroller._setNormalizedXY(-10,-20);
+
+			Assert.True(scroller.scrollBoth && scroller.x===-10 && scroller.y===-20);
+		}
+
+		[Fact]
+		function ScrollBothIgnoresAxisWithoutScroll(){
+			var scroller=getScrollerInstance({scroll:'both'});
+			scroller.hasScrollX=false;
+			scroller.hasScrollY=true;
+
+			scroller._setNormalizedXY(-10,-20);
+
+			Assert.True(scroller.x===0 && scroller.y===-20);
+		}
+
+		[Fact]
+		function ZoomScalesScrollableArea(){
+			var scroller=getScrollerInstance({scroll:'both',zoom:true});
+			scroller.wrapperWidth=100;
+			scroller.wrapperHeight=100;
+			scroller.scrollerWidth=100;
+			scroller.scrollerHeight=200;
+			scroller.scale=2;
+
+			scroller._setMaxScroll();
+
+			Assert.True(scroller.maxScrollX===-100 && scroller.maxScrollY===-300 && scroller.hasScrollX);
+		}
+
+		[Fact]
+		function ZoomedSingleAxisScrollersPanOnBothAxes(){
+			var scroller=getScrollerInstance({zoom:true}),
+				zoomed;
+			scroller.hasScrollX=true;
+			scroller.hasScrollY=true;
+			scroller.scale=2;
+
+			scroller._setNormalizedXY(-10,-20);
+			zoomed=scroller.x===-10 && scroller.y===-20;
+
+			scroller.scale=1;
+			scroller._setNormalizedXY(-10,-20);
+
+			Assert.True(zoomed && scroller.x===0 && scroller.y===-20);
+		}
+
+		[Fact]
+		function RightToLeftMirrorsTranslate(){
+			var scroller=getScrollerInstance({scroll:'horizontal',rtl:true});
+
+			scroller._translate(-50,0);
+
+			// The styles stub maps the transform property to ''
+			Assert.True(scroller.rtl && scroller.x===-50 && scroller.scrollerStyle[''].indexOf(',50,0,')!==-1);
+		}
+
+		[Fact,Data(
+			{key:'ArrowDown', shiftKey:false, y:-50, expected:{x:0,y:-90}},
+			{key:'PageUp', shiftKey:false, y:-50, expected:{x:0,y:0}},
+			{key:' ', shiftKey:false, y:-50, expected:{x:0,y:-150}},
+			{key:'End', shiftKey:false, y:-50, expected:{x:0,y:-400}},
+			{key:'Home', shiftKey:false, y:0, expected:null},
+			{key:'ArrowLeft', shiftKey:false, y:-50, expected:null}
+		)]
+		function KeyboardDestination(data){
+			var scroller=getScrollerInstance({keyboard:true});
+			scroller.wrapperHeight=100;
+			scroller.maxScrollX=0;
+			scroller.maxScrollY=-400;
+			scroller.x=0;
+			scroller.y=data.y;
+
+			Assert.Equal(data.expected,scroller._getKeyDestination(data.key,data.shiftKey));
+		}
+
+		[Fact]
+		function OffRemovesListenerDuringDispatch(){
+			var scroller=getScrollerInstance(),
+				calls=[];
+
+			function first(){calls.push('first');scroller.off('scrollEnd',second);}
+			function second(){calls.push('second');}
+
+			scroller.on('scrollEnd',first);
+			scroller.on('scrollEnd',second);
+			scroller._fire('scrollEnd');
+
+			Assert.Equal(['first'],calls);
+		}
+
+		[Fact]
+		function OnceRunsOnlyOnce(){
+			var scroller=getScrollerInstance(),
+				count=0;
+
+			scroller.once('scrollEnd',function(){count++;});
+			scroller._fire('scrollEnd');
+			scroller._fire('scrollEnd');
+
+			Assert.Equal(1,count);
+		}
+
+		[Fact]
+		function OffRemovesNamespace(){
+			var scroller=getScrollerInstance(),
+				count=0;
+
+			scroller.on('scrollEnd.view',function(){count++;});
+			scroller.on('scrollMove.view',function(){count++;});
+			scroller.off('.view');
+			scroller._fire('scrollEnd');
+			scroller._fire('scrollMove');
+
+			Assert.Equal(0,count);
+		}
+
+		[Fact]
+		function ScrollEventKeepsPositionalArguments(){
+			var scroller=getScrollerInstance(),
+				actual;
+			scroller.x=0;
+			scroller.y=-30;
+
+			scroller.on('scrollMove',function(action,x,y,e,scrollEvent){
+				actual=[action,x,y,scrollEvent.type,scrollEvent.y];
+			});
+			scroller._fireScrollEvent('scrollMove','gestureMove');
+
+			Assert.Equal(['gestureMove',0,-30,'scrollMove',-30],actual);
+		}
+
+		[Fact]
+		function ScrollEventCanBeCanceled(){
+			var scroller=getScrollerInstance(),
+				cancelable,
+				notCancelable;
+
+			scroller.on('beforeScrollStart',function(action,e,scrollEvent){scrollEvent.preventDefault();});
+			scroller.on('scrollEnd',function(action,x,y,e,scrollEvent){scrollEvent.preventDefault();});
+
+			cancelable=scroller._fireScrollEvent('beforeScrollStart','gestureStart',null,true);
+			notCancelable=scroller._fireScrollEvent('scrollEnd','animationEnd');
+
+			Assert.True(cancelable.defaultPrevented && !notCancelable.defaultPrevented);
+		}
+
+		[Fact,Data(
+			{align:'start', offset:0, expected:-300},
+			{align:'end', offset:10, expected:-230},
+			{align:'center', offset:0, expected:-260},
+			{align:'nearest', offset:0, expected:-220},
+			{align:'start', offset:-500, expected:-400}
+		)]
+		function AlignedPosition(data){
+			var scroller=getScrollerInstance();
+			scroller.wrapperHeight=100;
+			scroller.maxScrollY=-400;
+			scroller.y=0;
+
+			Assert.Equal(data.expected,scroller._getAlignedPosition(300,20,true,{align:data.align,offset:data.offset}));
+		}
+
+		[Fact]
+		function LiftingTrackingFingerKeepsReferencePoint(){
+			var scroller=getScrollerInstance(),
+				touch=function(id,y){return {identifier:id,pageX:0,pageY:y};};
+
+			scroller._addPointers({type:'touchstart',changedTouches:[touch(0,80)],touches:[touch(0,80)]});
+			scroller._trackPointer();
+			scroller._addPointers({type:'touchstart',changedTouches:[touch(1,20)],touches:[touch(0,80),touch(1,20)]});
+
+			if(scroller._removePointers({type:'touchend',changedTouches:[touch(0,80)],touches:[touch(1,20)]})){
+				scroller._trackPointer();
+			}
+
+			Assert.True(scroller.pointerCount===1 && scroller._trackedPointerId===1 && scroller.pointY===20);
+		}
+
+		[Fact]
+		function GetStateCollectsPluginState(){
+			var scroller=getScrollerInstance(),
+				state;
+
+			scroller.x=0;
+			scroller.y=-50;
+			scroller.on('_getState',function(state){state.page=2;});
+
+			state=scroller.getState();
+
+			Assert.True(state.y===-50 && state.scale===1 && state.page===2);
+		}
         
         [Fixture]
         function TestScrollerMathsAndCalculations(){
@@ -229,6 +429,234 @@ Test.Scroller.ScrollerTest=function(){
 			Assert.Equal(expected,actual);	
 		}
 
+		[Fact]
+		function SampledVelocityIgnoresFrameRate(){
+			var scroller=getScrollerInstance(),
+				times=[0,8,16,25,33];
+
+			scroller._velocitySamples=[];
+			times.forEach(function(time){
+				scroller.y=-2*time;
+				scroller._addVelocitySample(1000+time);
+			});
+
+			Assert.True(scroller._getSampledVelocity('y',1033)===-2 && scroller._getSampledVelocity('y',1200)===0);
+		}
+
+		[Fact]
+		function ComputeMomentumWithMaxFlingDistance(){
+			var scroller=getScrollerInstance({physics:{maxFlingDistance:125}}),
+				actual;
+
+			actual=scroller._computeMomentum(0.5,100);
+
+			Assert.True(actual.destination===225 && Math.round(actual.time)===707);
+		}
+
+		[Fact]
+		function MouseDragModes(){
+			var select=getScrollerInstance({mouseDragMode:'select'}),
+				modifier=getScrollerInstance({mouseDragMode:'modifier',mouseDragModifier:'shift'}),
+				drag=getScrollerInstance();
+
+			Assert.True(
+				drag._isMouseDrag({}) &&
+				!select._isMouseDrag({shiftKey:true}) &&
+				!modifier._isMouseDrag({}) &&
+				modifier._isMouseDrag({shiftKey:true}) &&
+				select._getAutoScrollSpeed(50,0,100)===0 &&
+				select._getAutoScrollSpeed(110,0,100)===15 &&
+				select._getAutoScrollSpeed(-500,0,100)===-window.Scroller.AUTO_SCROLL_MAX_SPEED
+			);
+		}
+
+		[Fact]
+		function SkipsTheGesturesOfIgnoredRegions(){
+			function region(attributes){
+				return {
+					nodeType:1,
+					getAttribute:function(name){return attributes[name]||null;},
+					matches:function(selector){
+						return selector.split(', ').some(function(s){return s.slice(1,-1) in attributes;});
+					}
+				};
+			}
+			var scroller=getScrollerInstance({ignoreFilter:function(el){return el.canvas;}}),
+				slider=region({'data-scroller-ignore':''}),
+				carousel=region({'data-scroller-lock':'horizontal'}),
+				canvas=region({});
+
+			canvas.canvas=true;
+
+			Assert.True(
+				scroller._isIgnoredTarget(slider) &&
+				scroller._isIgnoredTarget(canvas) &&
+				!scroller._isIgnoredTarget(carousel) &&
+				scroller._getLockDirection(carousel)==='horizontal'
+			);
+		}
+
+		[Fact]
+		function TapsFireAndDragsSuppressTheClick(){
+			var scroller=getScrollerInstance(),
+				target={},
+				prevented=false,
+				tapped;
+
+			scroller.on('tap',function(el){
+				tapped=el;
+			});
+			scroller._tapTarget=target;
+			scroller._tapX=scroller.pointX=0;
+			scroller._tapY=scroller.pointY=0;
+			scroller._handleTap({type:'touchend'});
+
+			scroller._tapTarget=target;
+			scroller.pointY=-50;
+			scroller._handleTap({type:'touchend'});
+			scroller._click({preventDefault:function(){prevented=true;},stopPropagation:function(){}});
+
+			Assert.True(tapped===target && prevented);
+		}
+
+		[Fact]
+		function WheelOptionsArePerInstance(){
+			var scroller=getScrollerInstance({scroll:'horizontal',wheelAxis:'strict'}),
+				other=getScrollerInstance({scroll:'horizontal',wheelInverted:true});
+
+			Assert.True(
+				scroller._mapWheelDelta(0,-10).x===0 &&
+				scroller._mapWheelDelta(-10,0).x===-10 &&
+				scroller.opts.wheelInverted===window.Scroller.MOUSE_WHEEL_INVERTED &&
+				other.opts.wheelInverted===true
+			);
+		}
+
+		[Fact]
+		function WheelDeltaInLinesAndPages(){
+			var scroller=getScrollerInstance();
+
+			scroller.wrapperHeight=300;
+
+			Assert.True(
+				scroller._getWheelDelta({deltaX:0,deltaY:3,deltaMode:1}).y===-48 &&
+				scroller._getWheelDelta({deltaX:0,deltaY:1,deltaMode:2}).y===-300
+			);
+		}
+
+		[Fact]
+		function AutoRefreshWhenContentLoadsWithoutObservers(){
+			var scroller=getScrollerInstance({autoRefresh:true}),
+				actual=0;
+
+			scroller.on('_refresh',function(){
+				actual++;
+			});
+			scroller.handleEvent({type:'load',target:scroller.scroller.children[0]});
+
+			Assert.Equal(1,actual);
+		}
+
+		[Fact]
+		function NativeScrollEventsAreSynthesized(){
+			var scroller=getScrollerInstance({mode:'native'}),
+				log=[];
+
+			scroller.maxScrollY=-500;
+			scroller.hasScrollY=true;
+			scroller.on('scrollMove',function(action,x,y){log.push(action+':'+y);});
+			scroller.on('scrollEnd',function(action,x,y){log.push(action+':'+y);});
+
+			scroller.scroller.scrollTop=120;
+			scroller.handleEvent({type:'scroll'});
+
+			Assert.Equal(['animationMove:-120','animationEnd:-120'],log);
+		}
+
+		[Fact]
+		function PluginsArePluggedAfterTheirDependencies(){
+			var scroller,
+				actual;
+
+			windowMock(function(){
+				window.Scroller.registerPlugin('TestBase',{_testMethod:function(){}});
+				window.Scroller.registerPlugin('TestExtension',{_testMethod:function(){}},{requires:['TestBase']});
+			});
+			scroller=getScrollerInstance({plugins:['TestExtension','TestBase']});
+
+			actual=scroller._plugins.map(function(record){
+				return record.name;
+			});
+
+			Assert.Equal(['TestBase','TestExtension'],actual);
+		}
+
+		[Fact]
+		function UnplugRemovesHooksInAnyOrder(){
+			var scroller=getScrollerInstance(),
+				log=[],
+				first={
+					init:function(){
+						this._hook('after','_isOutOfScroll',function(ret){log.push('first');return ret;});
+					}
+				},
+				second={
+					init:function(){
+						this._hook('after','_isOutOfScroll',function(ret){log.push('second');return !ret;});
+					},
+					_setNormalizedXY:function(){}
+				},
+				hooked;
+
+			scroller.plug(first);
+			scroller.plug(second);
+			scroller.unplug(first);
+			hooked=scroller._isOutOfScroll(1,1);
+			scroller.unplug(second);
+
+			Assert.True(
+				log.join()==='second' && hooked===false &&
+				scroller._isOutOfScroll(1,1)===true && !scroller.hasOwnProperty('_setNormalizedXY')
+			);
+		}
+
+		[Fact]
+		function SetOptionsFiresTheChangedOptions(){
+			var scroller=getScrollerInstance(),
+				actual;
+
+			scroller.on('optionsChanged',function(changed){
+				actual=changed;
+			});
+			scroller.setOptions({minThreshold:3,bounceTime:600});
+
+			Assert.Equal({minThreshold:{oldValue:5,newValue:3}},actual);
+		}
+
+		[Fact]
+		function ChainedMomentumStopsAtTheEdge(){
+			var scroller=getScrollerInstance({overscrollBehavior:'chain'}),
+				actual;
+
+			actual=scroller._momentumFromVelocity(-2,-50,-100,100);
+
+			Assert.True(
+				actual.destination===-100 && !actual.bounce &&
+				scroller._chainVelocity.y<0 && scroller._chainVelocity.y>-2
+			);
+		}
+
+		[Fact]
+		function OverscrollUsesPhysicsPreset(){
+			var defaultScroller=getScrollerInstance(),
+				androidScroller=getScrollerInstance({physics:'android'});
+
+			Assert.True(
+				defaultScroller._overscroll(0,30,-400,100)===10 &&
+				androidScroller._overscroll(25,10,-400,100)===25
+			);
+		}
+
 		 [Fact,Data(
 			{
 				start:100,
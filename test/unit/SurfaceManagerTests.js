@@ -11,6 +11,7 @@ Test.Scroller.SurfaceManager=function(){
 		window.__S.styles={transform:''};
 		window.__S.helpers={};
 		Import("/Users/ndandekar/scroller/src/utils/helpers.js");
+		Import("/Users/ndandekar/scroller/src/utils/input.js");
 		Import("/Users/ndandekar/scroller/src/utils/cubic-bezier.js");
 		Import("/Users/ndandekar/scroller/src/endless-plugin.js");
 		Import("/Users/ndandekar/scroller/src/scroller.js");